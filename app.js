@@ -2,6 +2,11 @@
 const WS_URL = window.location.hostname === 'localhost' 
   ? 'ws://localhost:5000' 
   : `wss://${window.location.hostname}`;
+const HTTP_URL = window.location.hostname === 'localhost'
+  ? 'http://localhost:5000'
+  : `https://${window.location.hostname}`;
+
+const Protocol = window.GyaanchandProtocol;
 
 let ws = null;
 let audioContext = null;
@@ -12,10 +17,37 @@ let isLive = false;
 let isConnected = false;
 let selectedVoice = 'en-US-terrell';
 let sessionId = null;
+let authToken = localStorage.getItem('authToken');
 
-// Audio playback queue
-let audioQueue = [];
+// Audio playback: chunks are decoded as soon as they arrive and started back to back
+// on the AudioContext clock, so there is no gap between them
 let isPlaying = false;
+let playbackGain = null;
+let scheduledChunks = [];         // { source, seq, header, startAt, stopped }
+let playheadTime = 0;             // AudioContext time the last scheduled chunk ends
+let scheduleChain = Promise.resolve();
+let playbackGeneration = 0;       // Bumped by stopAudio(); older chunks still decoding are dropped
+// The server numbers audio frames per connection; count them the same way for audio_played
+let audioSeq = 0;
+// Negotiated in the handshake; from v2 audio frames carry a header with their turn id
+let protocolVersion = 1;
+// Turns whose audio was stopped; frames still in flight for them are dropped
+const stoppedTurns = new Set();
+
+// Streamed replies: the server sends each chunk in parts while it is synthesized, and an
+// AudioWorklet plays them as they come. Opus needs WebCodecs to decode, PCM only the worklet.
+const AUDIO_STREAM = !window.AudioWorkletNode ? undefined : window.AudioDecoder ? 'opus' : 'pcm';
+let streamPlayer = null;          // AudioWorkletNode playing streamed parts
+let streamChain = Promise.resolve();
+let nextStreamId = 0;
+const streamChunks = new Map();   // "turnId:chunk" -> entry, while its parts arrive
+const streamEntries = new Map();  // player id -> entry, until it is acknowledged or dropped
+
+// Reply volume while the user may be interrupting (barge-in "duck" mode)
+const DUCKED_VOLUME = 0.25;
+// Head start for a chunk scheduled after silence, and fade length when audio is stopped
+const SCHEDULE_LEAD_S = 0.05;
+const STOP_FADE_S = 0.03;
 
 // DOM elements
 const statusBar = document.getElementById('statusBar');
@@ -29,21 +61,33 @@ const memoryArea = document.getElementById('memoryArea');
 const uploadZone = document.getElementById('uploadZone');
 const fileInput = document.getElementById('fileInput');
 const fileInfo = document.getElementById('fileInfo');
+const documentList = document.getElementById('documentList');
 const voiceSelector = document.getElementById('voiceSelector');
+const bargeInSelector = document.getElementById('bargeInSelector');
+const textForm = document.getElementById('textForm');
+const textInput = document.getElementById('textInput');
+const speakToggle = document.getElementById('speakToggle');
+const sendBtn = document.getElementById('sendBtn');
 
 console.log('🚀 Gyaanchand Voice AI - Initializing');
 
-// Initialize session ID
+// Initialize session ID (kept across visits so the server can restore context)
 function initSessionId() {
-  sessionId = sessionStorage.getItem('sessionId');
+  sessionId = localStorage.getItem('sessionId');
   if (!sessionId) {
     sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substring(7);
-    sessionStorage.setItem('sessionId', sessionId);
+    localStorage.setItem('sessionId', sessionId);
   }
   console.log('🔑 Session ID:', sessionId);
   return sessionId;
 }
 
+// Barge-in policy: how speech over a reply is treated, saved with the session
+bargeInSelector.onchange = () => {
+  console.log('✋ Barge-in mode:', bargeInSelector.value);
+  sendMessage({ type: 'barge_in_config', mode: bargeInSelector.value, sessionId: sessionId });
+};
+
 // Voice selection handler
 voiceSelector.onchange = (e) => {
   selectedVoice = e.target.value;
@@ -56,13 +100,11 @@ voiceSelector.onchange = (e) => {
     voiceSelector.style.transform = 'scale(1)';
   }, 200);
   
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({ 
-      type: 'voice_change', 
-      voice: selectedVoice,
-      sessionId: sessionId
-    }));
-  }
+  sendMessage({ 
+    type: 'voice_change', 
+    voice: selectedVoice,
+    sessionId: sessionId
+  });
   
   const originalHTML = statusText.innerHTML;
   updateStatus(`🎵 Voice: ${voiceName}`, 'connected');
@@ -74,25 +116,62 @@ voiceSelector.onchange = (e) => {
   }, 2500);
 };
 
+// Get or refresh a session token; the server decides the session id when auth is on
+async function initAuth() {
+  try {
+    const response = await fetch(`${HTTP_URL}/auth/session`, {
+      method: 'POST',
+      headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      console.error('❌ Auth failed:', result.error);
+      return;
+    }
+    if (!result.enabled) return;
+
+    authToken = result.token;
+    localStorage.setItem('authToken', authToken);
+    if (result.sessionId !== sessionId) {
+      sessionId = result.sessionId;
+      localStorage.setItem('sessionId', sessionId);
+    }
+    console.log('🔑 Authenticated as', result.userId);
+  } catch (err) {
+    console.warn('⚠️ Auth unavailable:', err);
+  }
+}
+
 // Initialize WebSocket connection
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
 const RECONNECT_DELAY = 2000;
 
-function connectWebSocket() {
+async function connectWebSocket() {
+  // Refreshed on every (re)connect so long-lived tabs never hold an expired token
+  await initAuth();
+
   ws = new WebSocket(WS_URL);
   ws.binaryType = 'arraybuffer';
 
   ws.onopen = () => {
     isConnected = true;
     liveBtn.disabled = false;
+    sendBtn.disabled = false;
     reconnectAttempts = 0;
+    audioSeq = 0;
+    protocolVersion = 1;
 
-    ws.send(JSON.stringify({
+    sendMessage({
       type: "handshake",
       sessionId,
-      voice: selectedVoice
-    }));
+      voice: selectedVoice,
+      protocolVersion: Protocol.PROTOCOL_VERSION,
+      token: authToken || undefined,
+      playbackAcks: true,
+      audioStream: AUDIO_STREAM
+    });
 
     updateStatus("✅ Connected - Ready to start", "connected");
     console.log("✅ WebSocket connected");
@@ -101,6 +180,7 @@ function connectWebSocket() {
   ws.onclose = () => {
     isConnected = false;
     liveBtn.disabled = true;
+    sendBtn.disabled = true;
     console.log('❌ Disconnected');
     
     if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
@@ -126,7 +206,19 @@ function connectWebSocket() {
 
   ws.onmessage = async (evt) => {
     if (typeof evt.data === "string") {
-      const msg = JSON.parse(evt.data);
+      let msg;
+      try {
+        msg = JSON.parse(evt.data);
+      } catch (err) {
+        console.warn('⚠️ Ignoring non-JSON message');
+        return;
+      }
+
+      const check = Protocol.validateMessage('server', msg);
+      if (!check.ok) {
+        console.warn('⚠️ Ignoring invalid message:', check.message);
+        return;
+      }
       handleMessage(msg);
     } else {
       await handleAudioData(evt.data);
@@ -134,6 +226,31 @@ function connectWebSocket() {
   };
 }
 
+// Send a JSON message, checked against the shared protocol schema first
+function sendMessage(msg) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+
+  const check = Protocol.validateMessage('client', msg);
+  if (!check.ok) {
+    console.error('❌ Not sending invalid message:', check.message);
+    return false;
+  }
+  ws.send(JSON.stringify(msg));
+  return true;
+}
+
+// User-facing text per error code (see docs/protocol.md)
+const ERROR_TEXT = {
+  ASR_UNAVAILABLE: 'Speech recognition unavailable. Please try again.',
+  ASR_FAILED: 'Speech recognition error. Please try again.',
+  TTS_FAILED: 'Voice synthesis error. Please try again.',
+  LLM_FAILED: 'Could not process that. Please try again.',
+  NO_SESSION: 'Session error. Please refresh the page.',
+  UNAUTHORIZED: 'Not signed in. Please refresh the page.',
+  FORBIDDEN: 'Access denied for this session.',
+  UNSUPPORTED_VERSION: 'This page is out of date. Please refresh.',
+};
+
 // Handle JSON messages
 function handleMessage(msg) {
   switch (msg.type) {
@@ -147,7 +264,7 @@ function handleMessage(msg) {
       break;
 
     case 'reply':
-      displayReply(msg.text, msg.route);
+      displayReply(msg.text, msg.route, msg.partial, msg.turnId, msg.sources);
       break;
 
     case 'memory_update':
@@ -155,26 +272,37 @@ function handleMessage(msg) {
       break;
 
     case 'stop_audio':
+      if (msg.turnId) stoppedTurns.add(msg.turnId);
       stopAudio();
       break;
 
+    case 'duck_audio':
+      setPlaybackVolume(msg.active ? DUCKED_VOLUME : 1);
+      break;
+
+    case 'barge_in_changed':
+      bargeInSelector.value = msg.bargeIn.mode;
+      break;
+
     case 'tts_end':
       console.log('🎵 TTS complete');
       break;
 
+    case 'tts_skipped':
+      console.warn(`🔇 Not voiced (chunk ${msg.chunk}):`, msg.text);
+      showUnvoiced(msg);
+      break;
+
     case 'error':
-      console.error('❌ Server error:', msg.message);
-      
-      let userMessage = msg.message;
-      if (msg.message.includes('Deepgram')) {
-        userMessage = 'Speech recognition error. Please try again.';
-      } else if (msg.message.includes('Murf') || msg.message.includes('TTS')) {
-        userMessage = 'Voice synthesis error. Please try again.';
-      } else if (msg.message.includes('session')) {
-        userMessage = 'Session error. Please refresh the page.';
+      if (msg.code === 'RATE_LIMITED') {
+        // The server explains (and usually speaks) what to do; keep its audio playing
+        console.warn(`⏳ Rate limited [${msg.limit}], retry in ${msg.retryAfterMs}ms`);
+        if (msg.limit === 'asrSeconds' && isLive) stopLive({ serverStopped: true });
+        updateStatus('⏳ ' + msg.message, 'error');
+        break;
       }
-      
-      updateStatus('❌ ' + userMessage, 'error');
+      console.error(`❌ Server error [${msg.code}]:`, msg.message);
+      updateStatus('❌ ' + (ERROR_TEXT[msg.code] || msg.message), 'error');
       break;
       
     case 'voice_changed':
@@ -182,79 +310,391 @@ function handleMessage(msg) {
       break;
       
     case 'session_confirmed':
-      console.log('✅ Session confirmed:', msg.sessionId);
+      console.log(`✅ Session confirmed: ${msg.sessionId} (protocol v${msg.protocolVersion}${msg.audioStream ? `, ${msg.audioStream} stream` : ''})`, msg.restored ? '(restored)' : '');
+      protocolVersion = msg.protocolVersion;
+      if (msg.bargeIn) bargeInSelector.value = msg.bargeIn.mode;
+      if (msg.documents) renderDocuments(msg.documents);
+      if (msg.restored && msg.documents?.length) {
+        fileInfo.innerHTML = `✅ ${msg.documents.length} document${msg.documents.length > 1 ? 's' : ''}<br><small>restored from last visit</small>`;
+      }
       break;
   }
 }
 
-// Handle audio data
+// Handle audio data: decoding starts at once, playback is scheduled in arrival order
 async function handleAudioData(data) {
+  const generation = playbackGeneration;
   try {
-    const arrayBuffer = data instanceof ArrayBuffer ? data : await data.arrayBuffer();
+    let arrayBuffer = data instanceof ArrayBuffer ? data : await data.arrayBuffer();
+    let header = null;
+    if (protocolVersion >= Protocol.FRAMED_AUDIO_VERSION) {
+      const frame = Protocol.decodeAudioFrame(arrayBuffer);
+      header = frame.header;
+      if (header.part !== undefined) {
+        handleStreamPart(header, frame.audio);
+        return;
+      }
+      arrayBuffer = frame.audio.buffer;
+    }
+    const seq = audioSeq++;
+    if (header?.turnId && stoppedTurns.has(header.turnId)) {
+      console.log(`🗑️ Dropped stale audio from turn ${header.turnId}`);
+      return;
+    }
     console.log(`📥 Audio: ${(arrayBuffer.byteLength / 1024).toFixed(1)}KB`);
-    audioQueue.push(arrayBuffer);
-    processAudioQueue();
+
+    const context = await ensurePlaybackContext();
+    const decoded = context.decodeAudioData(arrayBuffer);
+    scheduleChain = scheduleChain
+      .then(() => decoded)
+      .then((audioBuffer) => {
+        if (generation !== playbackGeneration) return;   // stopAudio() ran meanwhile
+        scheduleChunk(audioBuffer, seq, header);
+      })
+      .catch((err) => {
+        console.error('❌ Playback error:', err);
+        sendMessage({ type: "audio_played", seq, complete: false });
+      });
   } catch (err) {
     console.error('❌ Audio receive error:', err);
   }
 }
 
-// Process audio queue
-let queueLock = false;
+async function ensurePlaybackContext() {
+  if (!audioContext || audioContext.state === 'closed') {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+
+  if (audioContext.state === 'suspended') {
+    console.log('⏸️ Resuming AudioContext...');
+    await audioContext.resume();
+  }
+
+  if (!playbackGain || playbackGain.context !== audioContext) {
+    playbackGain = audioContext.createGain();
+    playbackGain.connect(audioContext.destination);
+    playheadTime = 0;
+  }
+  return audioContext;
+}
 
-async function processAudioQueue() {
-  if (queueLock || audioQueue.length === 0) return;
+// Start a decoded chunk right where the previous one ends; acknowledged with audio_played once it ends
+function scheduleChunk(audioBuffer, seq, header) {
+  const source = audioContext.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(playbackGain);
 
-  queueLock = true;
+  const startAt = Math.max(audioContext.currentTime + SCHEDULE_LEAD_S, playheadTime);
+  const entry = { source, seq, header, startAt, stopped: false };
+  playheadTime = startAt + audioBuffer.duration;
+  scheduledChunks.push(entry);
   isPlaying = true;
 
-  try {
-    while (audioQueue.length > 0) {
-      const audioData = audioQueue.shift();
-      try {
-        await playAudioChunk(audioData);
-      } catch (err) {
-        console.error("❌ Playback error:", err);
+  source.onended = () => {
+    scheduledChunks = scheduledChunks.filter(e => e !== entry);
+    if (!entry.stopped) {
+      sendMessage({ type: "audio_played", seq, complete: true });
+    }
+    if (scheduledChunks.length === 0) {
+      isPlaying = false;
+      showNowPlaying(null);
+    }
+  };
+  source.start(startAt);
+
+  // Caption follows the audio, not the network
+  entry.captionTimer = setTimeout(() => {
+    if (!entry.stopped) showNowPlaying(header);
+  }, Math.max(0, (startAt - audioContext.currentTime) * 1000));
+}
+
+const STREAM_PLAYER_CODE = `
+class StreamPlayer extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.parts = [];        // { id, generation, samples, rate, last }
+    this.position = 0;      // Read position in parts[0], in its own samples
+    this.current = null;    // Part of the chunk playing now
+    this.played = 0;        // Output frames played of that chunk
+    this.stop = null;       // { at, generation }
+    this.port.onmessage = (e) => {
+      if (e.data.type === 'part') this.parts.push(e.data);
+      else if (e.data.type === 'stop') this.stop = e.data;
+    };
+  }
+
+  report(type, id, playedMs) {
+    this.port.postMessage({ type, id, playedMs, idle: this.parts.length === 0 });
+  }
+
+  process(inputs, outputs) {
+    // Clear in the render quantum that reaches the end of the fade-out
+    if (this.stop && currentTime + 128 / sampleRate >= this.stop.at) {
+      const generation = this.stop.generation;
+      this.parts = this.parts.filter(p => p.generation >= generation);
+      if (this.current && this.current.generation < generation) {
+        this.report('stopped', this.current.id, this.played / sampleRate * 1000);
+        this.current = null;
+        this.position = 0;
       }
+      this.stop = null;
     }
-  } finally {
-    isPlaying = false;
-    queueLock = false;
+
+    const output = outputs[0];
+    const out = output[0];
+    for (let i = 0; i < out.length; i++) {
+      while (this.parts.length && this.position >= this.parts[0].samples.length) {
+        const done = this.parts.shift();
+        this.position -= done.samples.length;
+        if (done.last) {
+          this.report('ended', done.id, this.played / sampleRate * 1000);
+          this.current = null;
+          this.position = 0;
+        }
+      }
+
+      const part = this.parts[0];
+      if (!part) {
+        out[i] = 0;   // Waiting for the network
+        continue;
+      }
+      if (!this.current || this.current.id !== part.id) {
+        this.current = part;
+        this.played = 0;
+        this.report('started', part.id, 0);
+      }
+
+      // Linear resampling from the part's rate to the context's
+      const index = Math.floor(this.position);
+      const frac = this.position - index;
+      const a = part.samples[index];
+      const b = index + 1 < part.samples.length ? part.samples[index + 1] : a;
+      out[i] = a + (b - a) * frac;
+      this.position += part.rate / sampleRate;
+      this.played++;
+    }
+
+    for (let c = 1; c < output.length; c++) output[c].set(out);
+    return true;
   }
 }
+registerProcessor('stream-player', StreamPlayer);
+`;
+
+async function ensureStreamPlayer() {
+  const context = await ensurePlaybackContext();
+  if (streamPlayer && streamPlayer.context === context) return streamPlayer;
 
-// Play audio chunk
-async function playAudioChunk(arrayBuffer) {
+  const blobURL = URL.createObjectURL(new Blob([STREAM_PLAYER_CODE], { type: 'application/javascript' }));
   try {
-    if (!audioContext || audioContext.state === 'closed') {
-      audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    }
+    await context.audioWorklet.addModule(blobURL);
+  } finally {
+    URL.revokeObjectURL(blobURL);
+  }
 
-    if (audioContext.state === 'suspended') {
-      console.log('⏸️ Resuming AudioContext...');
-      await audioContext.resume();
+  streamPlayer = new AudioWorkletNode(context, 'stream-player', { outputChannelCount: [1] });
+  streamPlayer.connect(playbackGain);
+  streamPlayer.port.onmessage = (event) => onStreamPlayerMessage(event.data);
+  return streamPlayer;
+}
+
+// One part of a streamed chunk. A streamed chunk counts as one audio frame for
+// audio_played, numbered when its last part arrives.
+function handleStreamPart(header, audio) {
+  const key = `${header.turnId}:${header.chunk}`;
+  let entry = streamChunks.get(key);
+  if (!entry) {
+    entry = {
+      id: nextStreamId++,
+      seq: null,
+      header,
+      format: header.format,
+      generation: playbackGeneration,
+      skip: header.format?.preSkip || 0,
+      started: false,
+      ended: false,
+      stoppedMs: null
+    };
+    streamChunks.set(key, entry);
+    streamEntries.set(entry.id, entry);
+  }
+  if (header.last) {
+    entry.seq = audioSeq++;
+    streamChunks.delete(key);
+  }
+
+  const stale = (header.turnId && stoppedTurns.has(header.turnId)) || entry.generation !== playbackGeneration;
+  if (stale) {
+    if (header.last) {
+      closeDecoder(entry);
+      if (!settleStreamEntry(entry)) streamEntries.delete(entry.id);
     }
+    return;
+  }
 
-    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-    const source = audioContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(audioContext.destination);
+  streamChain = streamChain
+    .then(() => feedStreamPart(entry, header, audio))
+    .catch((err) => {
+      console.error('❌ Stream playback error:', err);
+    });
+}
+
+async function feedStreamPart(entry, header, audio) {
+  if (entry.generation !== playbackGeneration) return;
+  const player = await ensureStreamPlayer();
+  let pieces = [];
+  if (audio.length) {
+    pieces = entry.format.container === 'opus'
+      ? await decodeOpusPart(entry, audio)
+      : [{ samples: pcmToFloat32(audio, entry.format.channels), rate: entry.format.sampleRate }];
+  }
+  if (header.last) closeDecoder(entry);
+  if (entry.generation !== playbackGeneration) return;   // stopAudio() ran meanwhile
+
+  const part = { type: 'part', id: entry.id, generation: entry.generation };
+  for (const piece of pieces) {
+    player.port.postMessage({ ...part, samples: piece.samples, rate: piece.rate }, [piece.samples.buffer]);
+  }
+  if (header.last) {
+    player.port.postMessage({ ...part, samples: new Float32Array(0), rate: 1, last: true });
+  }
+  isPlaying = true;
+}
+
+// 16-bit little-endian samples, mixed down to mono
+function pcmToFloat32(audio, channels = 1) {
+  const view = new DataView(audio.buffer, audio.byteOffset, audio.byteLength);
+  const frames = Math.floor(audio.byteLength / (2 * channels));
+  const samples = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += view.getInt16((i * channels + c) * 2, true);
+    samples[i] = sum / channels / 0x8000;
+  }
+  return samples;
+}
 
-    return new Promise((resolve, reject) => {
-      source.onended = resolve;
-      source.onerror = reject;
-      source.start(0);
+function closeDecoder(entry) {
+  if (entry.decoder && entry.decoder.state !== 'closed') entry.decoder.close();
+}
+
+// Decode the Opus packets of one part; the decoder lives as long as its chunk
+async function decodeOpusPart(entry, audio) {
+  if (!entry.decoder) {
+    entry.decoded = [];
+    entry.timestamp = 0;
+    entry.decoder = new AudioDecoder({
+      output: (data) => {
+        const samples = new Float32Array(data.numberOfFrames);
+        data.copyTo(samples, { planeIndex: 0, format: 'f32-planar' });
+        entry.decoded.push({ samples, rate: data.sampleRate });
+        data.close();
+      },
+      error: (err) => console.error('❌ Opus decode error:', err)
     });
-  } catch (err) {
-    console.error('❌ Playback error:', err);
-    throw err;
+    entry.decoder.configure({ codec: 'opus', sampleRate: entry.format.sampleRate, numberOfChannels: entry.format.channels });
+  }
+
+  for (const packet of Protocol.decodeOpusPackets(audio)) {
+    entry.decoder.decode(new EncodedAudioChunk({ type: 'key', timestamp: entry.timestamp, data: packet }));
+    entry.timestamp += 20000;   // Microseconds; only the order matters here
+  }
+  await entry.decoder.flush();
+
+  // The encoder's lookahead (pre-skip) at the start of the stream is not speech
+  const pieces = [];
+  for (const piece of entry.decoded.splice(0)) {
+    const skip = Math.min(entry.skip, piece.samples.length);
+    entry.skip -= skip;
+    if (skip < piece.samples.length) pieces.push({ samples: piece.samples.slice(skip), rate: piece.rate });
+  }
+  return pieces;
+}
+
+function onStreamPlayerMessage(msg) {
+  const entry = streamEntries.get(msg.id);
+  if (entry && msg.type === 'started') {
+    entry.started = true;
+    if (entry.generation === playbackGeneration) showNowPlaying(entry.header);
+  } else if (entry && msg.type === 'ended') {
+    entry.ended = true;
+    settleStreamEntry(entry);
+  } else if (entry && msg.type === 'stopped') {
+    entry.stoppedMs = Math.round(msg.playedMs);
+    settleStreamEntry(entry);
+  }
+
+  if (msg.type !== 'started' && msg.idle && scheduledChunks.length === 0) {
+    isPlaying = false;
+    showNowPlaying(null);
   }
 }
 
-// Stop audio
+// Acknowledge a streamed chunk once it has its number and has finished or been cut off
+function settleStreamEntry(entry) {
+  if (entry.seq === null || (!entry.ended && entry.stoppedMs === null)) return false;
+  sendMessage(entry.ended
+    ? { type: "audio_played", seq: entry.seq, complete: true }
+    : { type: "audio_played", seq: entry.seq, complete: false, playedMs: entry.stoppedMs });
+  streamEntries.delete(entry.id);
+  return true;
+}
+
+// Fade reply volume (1 = normal)
+function setPlaybackVolume(volume) {
+  if (!playbackGain) return;
+  playbackGain.gain.setTargetAtTime(volume, playbackGain.context.currentTime, 0.05);
+}
+
+// Stop audio: fade out what is playing, drop everything scheduled or still decoding
 function stopAudio() {
-  audioQueue = [];
+  playbackGeneration++;
+  scheduleChain = Promise.resolve();
+
+  // Whatever of these turns is still on its way is stale now
+  for (const { header } of [...scheduledChunks, ...streamEntries.values()]) {
+    if (header?.turnId) stoppedTurns.add(header.turnId);
+  }
+  streamChain = Promise.resolve();
+
+  if (audioContext && playbackGain) {
+    const now = audioContext.currentTime;
+    const gain = playbackGain.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(0, now + STOP_FADE_S);
+    // Back to full volume (undoing any duck) once the fade is over
+    gain.setValueAtTime(1, now + STOP_FADE_S);
+
+    // The streamed chunk playing now reports how far it got once the fade is over;
+    // the ones still queued were never heard
+    streamPlayer?.port.postMessage({ type: 'stop', at: now + STOP_FADE_S, generation: playbackGeneration });
+    for (const entry of streamEntries.values()) {
+      if (!entry.started && entry.seq !== null) streamEntries.delete(entry.id);
+    }
+
+    for (const entry of scheduledChunks) {
+      entry.stopped = true;
+      clearTimeout(entry.captionTimer);
+      try {
+        entry.source.stop(now + STOP_FADE_S);
+      } catch (e) {}
+      // Only the chunk already playing was heard, and only partly
+      if (entry.startAt <= now) {
+        sendMessage({
+          type: "audio_played",
+          seq: entry.seq,
+          complete: false,
+          playedMs: Math.round((now - entry.startAt) * 1000)
+        });
+      }
+    }
+  }
+
+  scheduledChunks = [];
+  playheadTime = 0;
   isPlaying = false;
+  showNowPlaying(null);
   console.log('🛑 Audio queue cleared');
 }
 
@@ -378,12 +818,10 @@ registerProcessor('audio-processor', AudioProcessor);
     const source = micContext.createMediaStreamSource(mediaStream);
     source.connect(audioWorkletNode);
 
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify({ 
-        type: 'start_live',
-        sessionId: sessionId
-      }));
-    }
+    sendMessage({ 
+      type: 'start_live',
+      sessionId: sessionId
+    });
 
     isLive = true;
     btnIcon.textContent = '🛑';
@@ -406,25 +844,26 @@ registerProcessor('audio-processor', AudioProcessor);
   }
 }
 
-// Stop live recording
-async function stopLive() {
+// Stop live recording; `serverStopped` when the server already closed recognition
+async function stopLive(opts = {}) {
   console.log('🛑 Stopping...');
-  updateStatus('🛑 Stopping...', 'thinking');
-  
+  if (!opts.serverStopped) updateStatus('🛑 Stopping...', 'thinking');
+
   isLive = false;
 
   await cleanupMicrophone();
-  
+
+  btnIcon.textContent = '🎤';
+  btnText.textContent = 'Start Live';
+  liveBtn.className = 'btn-main btn-start';
+  if (opts.serverStopped) return;
+
   stopAudio();
 
   if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({ type: 'stop_live' }));
+    sendMessage({ type: 'stop_live' });
   }
 
-  btnIcon.textContent = '🎤';
-  btnText.textContent = 'Start Live';
-  liveBtn.className = 'btn-main btn-start';
-  
   liveBtn.style.transform = 'scale(1.1)';
   setTimeout(() => {
     liveBtn.style.transform = 'scale(1)';
@@ -452,6 +891,28 @@ liveBtn.onclick = async () => {
   }
 };
 
+// Text chat: same pipeline as speech, with spoken or silent replies
+textForm.onsubmit = (e) => {
+  e.preventDefault();
+  const text = textInput.value.trim();
+  if (!text) return;
+
+  const sent = sendMessage({
+    type: 'text_input',
+    text,
+    speak: speakToggle.checked,
+    sessionId
+  });
+  if (!sent) {
+    updateStatus('⚠️ Not connected', 'error');
+    return;
+  }
+
+  stopAudio();
+  displayTranscript(text, true);
+  textInput.value = '';
+};
+
 // File upload
 fileInput.onchange = async (e) => {
   const file = e.target.files[0];
@@ -463,22 +924,20 @@ fileInput.onchange = async (e) => {
   try {
     updateStatus('📤 Uploading document...', 'thinking');
     
-    const UPLOAD_URL = window.location.hostname === 'localhost'
-      ? 'http://localhost:5000/upload'
-      : `https://${window.location.hostname}/upload`;
+    const headers = { 'x-session-id': sessionId };
+    if (authToken) headers.Authorization = `Bearer ${authToken}`;
 
-    const response = await fetch(UPLOAD_URL, {
+    const response = await fetch(`${HTTP_URL}/upload`, {
       method: 'POST',
       body: formData,
-      headers: {
-        'x-session-id': sessionId
-      }
+      headers
     });
 
     const result = await response.json();
     
     if (result.success) {
-      fileInfo.innerHTML = `✅ ${file.name}<br><small>${Math.round(file.size / 1024)}KB • ${result.extracted} chars extracted</small>`;
+      fileInfo.innerHTML = `✅ ${file.name}<br><small>${Math.round(file.size / 1024)}KB • ${result.extracted} chars in ${result.passages} passages</small>`;
+      if (result.documents) renderDocuments(result.documents);
       updateStatus('✅ Document ready!', 'connected');
       
       uploadZone.style.borderColor = '#34d399';
@@ -495,6 +954,67 @@ fileInput.onchange = async (e) => {
   }
 };
 
+// Document library: pin, rename or delete an uploaded document
+async function manageDocument(id, method, body) {
+  const headers = { 'x-session-id': sessionId, 'Content-Type': 'application/json' };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  try {
+    const response = await fetch(`${HTTP_URL}/documents/${encodeURIComponent(id)}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || 'Request failed');
+    renderDocuments(result.documents);
+  } catch (err) {
+    console.error('❌ Document error:', err);
+    alert('Document update failed: ' + err.message);
+  }
+}
+
+function renderDocuments(documents) {
+  documentList.innerHTML = '';
+
+  for (const doc of documents) {
+    const row = document.createElement('div');
+    row.className = 'document-row' + (doc.pinned ? ' pinned' : '');
+
+    const name = document.createElement('span');
+    name.className = 'document-name';
+    name.textContent = doc.name;
+    name.title = `${doc.filename} • ${Math.round(doc.size / 1024)}KB${doc.pages ? ` • ${doc.pages} pages` : ''}`;
+
+    const pin = document.createElement('button');
+    pin.type = 'button';
+    pin.className = 'document-pin';
+    pin.textContent = '📌';
+    pin.title = doc.pinned ? 'Unpin: search all documents' : 'Pin: search only pinned documents';
+    pin.onclick = () => manageDocument(doc.id, 'PATCH', { pinned: !doc.pinned });
+
+    const rename = document.createElement('button');
+    rename.type = 'button';
+    rename.textContent = '✏️';
+    rename.title = 'Rename (ask about it by this name)';
+    rename.onclick = () => {
+      const value = prompt('Name for this document', doc.name);
+      if (value && value.trim() !== doc.name) manageDocument(doc.id, 'PATCH', { name: value });
+    };
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = '🗑️';
+    remove.title = 'Delete';
+    remove.onclick = () => {
+      if (confirm(`Delete "${doc.name}"?`)) manageDocument(doc.id, 'DELETE');
+    };
+
+    row.append(name, pin, rename, remove);
+    documentList.appendChild(row);
+  }
+}
+
 // Drag and drop
 uploadZone.ondragover = (e) => {
   e.preventDefault();
@@ -522,6 +1042,9 @@ function displayTranscript(text, isFinal) {
   }
 
   if (isFinal) {
+    // A new turn starts; an interrupted streaming reply stays as it was
+    liveReply = null;
+
     const interim = transcriptArea.querySelector('.interim');
     if (interim) interim.remove();
 
@@ -540,15 +1063,82 @@ function displayTranscript(text, isFinal) {
   }
 }
 
-function displayReply(text, route) {
+// Reply being streamed sentence by sentence; replaced in place until the final message
+let liveReply = null;
+
+function displayReply(text, route, partial, turnId, sources) {
   if (replyArea.querySelector('.empty-state')) {
     replyArea.innerHTML = '';
   }
 
-  const div = document.createElement('div');
-  div.className = 'message reply';
-  div.innerHTML = `<strong>Gyaanchand:</strong><div style="margin-top: 8px;">${text}</div>`;
-  replyArea.insertBefore(div, replyArea.firstChild);
+  // A reply for another turn never overwrites this one
+  if (liveReply && turnId && liveReply.dataset.turnId !== turnId) {
+    liveReply = null;
+  }
+
+  if (!liveReply) {
+    liveReply = document.createElement('div');
+    liveReply.className = 'message reply';
+    if (turnId) liveReply.dataset.turnId = turnId;
+    liveReply.innerHTML = `<strong>Gyaanchand:</strong><div class="reply-text" style="margin-top: 8px;"></div>`;
+    replyArea.insertBefore(liveReply, replyArea.firstChild);
+  }
+
+  liveReply.querySelector('.reply-text').innerHTML = text;
+
+  if (!partial) {
+    if (sources?.length) showSources(liveReply, sources);
+    liveReply = null;
+  }
+}
+
+// Document passages a reply is based on; clicking one shows its snippet
+function showSources(reply, sources) {
+  const list = document.createElement('div');
+  list.className = 'sources';
+  list.innerHTML = '<div class="sources-label">📄 Sources</div>';
+
+  for (const source of sources) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'source';
+    button.textContent = source.citation || `Passage ${source.passage}`;
+
+    const snippet = document.createElement('div');
+    snippet.className = 'source-snippet';
+    snippet.textContent = source.snippet;
+    snippet.hidden = true;
+
+    button.onclick = () => {
+      snippet.hidden = !snippet.hidden;
+      button.classList.toggle('open', !snippet.hidden);
+    };
+    list.append(button, snippet);
+  }
+  reply.appendChild(list);
+}
+
+// Caption under a reply with the chunk being played (framed audio only)
+function showNowPlaying(header) {
+  replyArea.querySelectorAll('.now-playing').forEach(el => el.remove());
+  if (!header?.turnId || !header.text) return;
+
+  const reply = replyArea.querySelector(`[data-turn-id="${CSS.escape(header.turnId)}"]`);
+  if (!reply) return;
+  const caption = document.createElement('div');
+  caption.className = 'now-playing';
+  caption.textContent = `🔊 ${header.text}`;
+  reply.appendChild(caption);
+}
+
+// Part of a reply the server could not voice; shown so the spoken reply still makes sense
+function showUnvoiced(msg) {
+  const reply = msg.turnId && replyArea.querySelector(`[data-turn-id="${CSS.escape(msg.turnId)}"]`);
+  if (!reply) return;
+  const note = document.createElement('div');
+  note.className = 'unvoiced';
+  note.textContent = `🔇 ${msg.partial ? 'Cut off' : 'Not spoken'}: "${msg.text}"`;
+  reply.appendChild(note);
 }
 
 // ✅ UPDATED: Enhanced memory display with location and date
@@ -1,24 +1,23 @@
-// backend/asr.js
-const axios = require("axios");
+// backend/asr.js - Batch transcription through the configured ASR provider
+const { getASRProvider } = require("./providers/asr");
 
-async function transcribeAudio(buffer) {
-  try {
-    const resp = await axios.post(
-      "https://api.deepgram.com/v1/listen?model=nova-2&language=en-IN&punctuate=true",
-      buffer,
-      {
-        headers: {
-          "Authorization": `Token ${process.env.DEEPGRAM_API_KEY}`,
-          "Content-Type": "audio/webm; codecs=opus"
-        }
-      }
-    );
+/**
+ * Full provider result; errors are thrown to the caller
+ * @returns {Object} { text, confidence, duration (seconds) }
+ */
+async function transcribe(buffer, opts = {}) {
+  return getASRProvider().transcribe(buffer, opts);
+}
 
-    return resp.data?.results?.channels?.[0]?.alternatives?.[0]?.transcript || "";
+async function transcribeAudio(buffer, opts = {}) {
+  try {
+    const result = await transcribe(buffer, opts);
+    return result.text || "";
   } catch (err) {
     console.error("ASR Error:", err.response?.data || err.message);
     return "";
   }
 }
 
-module.exports = transcribeAudio;
\ No newline at end of file
+module.exports = transcribeAudio;
+module.exports.transcribe = transcribe;
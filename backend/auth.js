@@ -0,0 +1,279 @@
+// backend/auth.js - API keys, signed session tokens and origin allow-list
+//
+// Auth is on when AUTH_SECRET is set. Two kinds of credential are accepted:
+//   API keys       - for services; AUTH_API_KEYS="billing:key1,crm:key2" (userId:key).
+//                    The caller picks session ids, but can only open its own sessions.
+//   session tokens - issued by POST /auth/session and signed with AUTH_SECRET.
+//                    Each token names one user and one session; browsers get an
+//                    anonymous user unless AUTH_ALLOW_ANONYMOUS=false.
+// Credentials travel as "Authorization: Bearer <credential>" over HTTP and in
+// handshake.token over the WebSocket.
+const crypto = require("crypto");
+
+const DEFAULT_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.status = code === "UNAUTHORIZED" ? 401 : 403;
+  }
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+function randomId(prefix) {
+  return prefix + crypto.randomBytes(9).toString("base64url");
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function parseApiKeys(value) {
+  const keys = new Map();
+  if (!value) return keys;
+
+  for (const entry of value.split(",").map(e => e.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(":");
+    if (sep < 1 || sep === entry.length - 1) {
+      throw new Error(`AUTH_API_KEYS entries must look like userId:key (got "${entry}")`);
+    }
+    keys.set(entry.substring(sep + 1), entry.substring(0, sep));
+  }
+  return keys;
+}
+
+function parseOrigins(value) {
+  if (!value || value.trim() === "*") return null;
+  return value.split(",").map(o => o.trim().replace(/\/+$/, "")).filter(Boolean);
+}
+
+/**
+ * @param {Object} opts - { secret, apiKeys: Map(key → userId), allowedOrigins: [] | null,
+ *                          allowAnonymous, tokenTtlMs }
+ */
+function createAuth(opts = {}) {
+  const secret = opts.secret || null;
+  const apiKeys = opts.apiKeys || new Map();
+  const allowedOrigins = opts.allowedOrigins || null;
+  const allowAnonymous = opts.allowAnonymous !== false;
+  const tokenTtlMs = opts.tokenTtlMs || DEFAULT_TOKEN_TTL_MS;
+  const enabled = !!secret;
+
+  function sign(payload) {
+    return base64url(crypto.createHmac("sha256", secret).update(payload).digest());
+  }
+
+  /**
+   * @returns {Object} { token, userId, sessionId, expiresAt }
+   */
+  function issueToken(userId, sessionId) {
+    const expiresAt = Date.now() + tokenTtlMs;
+    const payload = base64url(JSON.stringify({ sub: userId, sid: sessionId, exp: expiresAt }));
+    return { token: `${payload}.${sign(payload)}`, userId, sessionId, expiresAt };
+  }
+
+  function verifyToken(token) {
+    const [payload, signature, extra] = String(token).split(".");
+    if (!payload || !signature || extra !== undefined) return null;
+    if (!safeEqual(signature, sign(payload))) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      if (typeof claims.sub !== "string" || typeof claims.sid !== "string") return null;
+      if (!(claims.exp > Date.now())) return null;
+      return claims;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Identity for a session token or API key, or null if it is neither
+   * @returns {Object|null} { userId, sessionId (null for API keys), kind: "token" | "key" }
+   */
+  function authenticate(credential) {
+    if (!enabled || !credential) return null;
+
+    for (const [key, userId] of apiKeys) {
+      if (safeEqual(credential, key)) return { userId, sessionId: null, kind: "key" };
+    }
+
+    const claims = verifyToken(credential);
+    if (claims) return { userId: claims.sub, sessionId: claims.sid, kind: "token" };
+    return null;
+  }
+
+  function isOriginAllowed(origin) {
+    if (!origin || !allowedOrigins) return true;
+    return allowedOrigins.includes(origin.replace(/\/+$/, ""));
+  }
+
+  function bearer(req) {
+    const header = req.headers.authorization || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : req.headers["x-api-key"] || null;
+  }
+
+  // CORS: echo allowed origins instead of "*" once an allow-list is configured
+  function cors(req, res, next) {
+    const origin = req.headers.origin;
+    if (!allowedOrigins) {
+      res.header("Access-Control-Allow-Origin", "*");
+    } else if (origin && isOriginAllowed(origin)) {
+      res.header("Access-Control-Allow-Origin", origin);
+      res.header("Vary", "Origin");
+    }
+    res.header("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, x-session-id, x-api-key");
+    res.header("Access-Control-Expose-Headers", "X-Session-Id, X-TTS-Chunks");
+    if (req.method === "OPTIONS") return res.sendStatus(200);
+    next();
+  }
+
+  /**
+   * Express middleware: rejects foreign origins and missing or bad credentials,
+   * and sets req.identity (null while auth is off)
+   */
+  function requireAuth(req, res, next) {
+    req.identity = null;
+    if (!isOriginAllowed(req.headers.origin)) {
+      return sendAuthError(res, new AuthError("FORBIDDEN", "Origin not allowed"));
+    }
+    if (!enabled) return next();
+
+    const identity = authenticate(bearer(req));
+    if (!identity) {
+      return sendAuthError(res, new AuthError("UNAUTHORIZED", "Valid API key or session token required"));
+    }
+    req.identity = identity;
+    next();
+  }
+
+  /**
+   * POST /auth/session - issue (or refresh) a session token.
+   * API key → token for that user; valid token → fresh token for the same
+   * user and session; nothing → new anonymous user when allowed.
+   */
+  function sessionHandler(req, res) {
+    if (!isOriginAllowed(req.headers.origin)) {
+      return sendAuthError(res, new AuthError("FORBIDDEN", "Origin not allowed"));
+    }
+    if (!enabled) return res.json({ success: true, enabled: false });
+
+    const credential = bearer(req);
+    const identity = authenticate(credential);
+    let issued;
+
+    if (identity?.kind === "token") {
+      issued = issueToken(identity.userId, identity.sessionId);
+    } else if (identity?.kind === "key") {
+      const requested = req.body?.sessionId;
+      if (requested !== undefined && (typeof requested !== "string" || !requested || requested.length > 200)) {
+        return res.status(400).json({ success: false, error: "Invalid session ID" });
+      }
+      issued = issueToken(identity.userId, requested || randomId("session_"));
+    } else if (credential && !allowAnonymous) {
+      return sendAuthError(res, new AuthError("UNAUTHORIZED", "Invalid or expired credential"));
+    } else if (allowAnonymous) {
+      issued = issueToken(randomId("anon_"), randomId("session_"));
+      console.log(`🔑 [AUTH] Anonymous user: ${issued.userId}`);
+    } else {
+      return sendAuthError(res, new AuthError("UNAUTHORIZED", "API key required"));
+    }
+
+    res.json({ success: true, enabled: true, ...issued });
+  }
+
+  return {
+    enabled,
+    allowedOrigins,
+    issueToken,
+    verifyToken,
+    authenticate,
+    isOriginAllowed,
+    cors,
+    requireAuth,
+    sessionHandler,
+  };
+}
+
+function sendAuthError(res, err) {
+  res.status(err.status).json({ success: false, code: err.code, error: err.message });
+}
+
+/**
+ * Session id a caller may use: the one bound to its token, else the one it asked for
+ * @throws {AuthError} When a token holder asks for a different session
+ */
+function resolveSessionId(identity, requested) {
+  if (identity?.sessionId) {
+    if (requested && requested !== identity.sessionId) {
+      throw new AuthError("FORBIDDEN", "Session does not belong to this token");
+    }
+    return identity.sessionId;
+  }
+  return requested || null;
+}
+
+/**
+ * Bind a session to its first authenticated user and refuse everyone else
+ * @returns {boolean} Whether the session was claimed now (caller should save it)
+ * @throws {AuthError} When the session belongs to another user
+ */
+function checkSessionOwner(session, identity) {
+  if (!identity) return false;
+  if (!session.ownerId) {
+    session.ownerId = identity.userId;
+    return true;
+  }
+  if (session.ownerId !== identity.userId) {
+    throw new AuthError("FORBIDDEN", "Session belongs to another user");
+  }
+  return false;
+}
+
+/**
+ * Auth configured from AUTH_SECRET, AUTH_API_KEYS, ALLOWED_ORIGINS,
+ * AUTH_ALLOW_ANONYMOUS and AUTH_TOKEN_TTL_MS
+ */
+function createAuthFromEnv() {
+  const secret = process.env.AUTH_SECRET || null;
+  const apiKeys = parseApiKeys(process.env.AUTH_API_KEYS);
+
+  if (!secret && apiKeys.size) {
+    throw new Error("AUTH_API_KEYS is set but AUTH_SECRET is not; set both to enable auth");
+  }
+  if (secret && secret.length < 32) {
+    throw new Error("AUTH_SECRET must be at least 32 characters");
+  }
+
+  const ttl = process.env.AUTH_TOKEN_TTL_MS ? Number(process.env.AUTH_TOKEN_TTL_MS) : undefined;
+  if (ttl !== undefined && !(ttl > 0)) {
+    throw new Error("AUTH_TOKEN_TTL_MS must be a positive number of milliseconds");
+  }
+
+  return createAuth({
+    secret,
+    apiKeys,
+    allowedOrigins: parseOrigins(process.env.ALLOWED_ORIGINS),
+    allowAnonymous: process.env.AUTH_ALLOW_ANONYMOUS !== "false",
+    tokenTtlMs: ttl,
+  });
+}
+
+module.exports = {
+  createAuth,
+  createAuthFromEnv,
+  resolveSessionId,
+  checkSessionOwner,
+  sendAuthError,
+  AuthError,
+};
@@ -0,0 +1,220 @@
+// backend/bargeIn.js - Decides when speech over a reply is an interruption
+//
+// Modes:
+//   stop - stop the reply once the speech qualifies (default)
+//   duck - lower the reply's volume as soon as speech is heard, stop it once the
+//          speech qualifies, restore the volume if it has not within duckMs
+//   off  - never interrupt by voice; replies are stopped with the button or by typing
+// Speech qualifies when it lasts at least minSpeechMs, has at least minWords,
+// reaches minConfidence and is not only backchannel ("uh-huh", "okay", a cough
+// transcribed as "hmm").
+//
+// Server defaults come from BARGE_IN_* env variables; each session may override
+// them with a barge_in_config message.
+const { readNumber } = require("./utils/env");
+
+const MODES = ["stop", "duck", "off"];
+const SETTINGS = ["mode", "minSpeechMs", "minWords", "minConfidence", "duckMs", "backchannels"];
+
+const DEFAULT_BACKCHANNELS = [
+  "uh huh", "uh-huh", "mhm", "mm hmm", "mm", "hmm", "um", "uh", "ah", "oh",
+  "ok", "okay", "yeah", "yes", "yep", "right", "sure", "i see", "got it",
+  "cool", "nice", "wow", "alright", "all right",
+];
+
+// Used when the ASR gives no timing (the replay provider)
+const ESTIMATED_MS_PER_WORD = 250;
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s-]/g, " ")
+    .replace(/-/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Whether `text` is made only of backchannel phrases ("okay", "uh huh yeah")
+ */
+function isBackchannel(text, backchannels) {
+  const words = normalize(text).split(" ").filter(Boolean);
+  // Longest phrases first so "mm hmm" wins over "mm"
+  const phrases = backchannels
+    .map(p => normalize(p).split(" ").filter(Boolean))
+    .filter(p => p.length)
+    .sort((a, b) => b.length - a.length);
+
+  let i = 0;
+  while (i < words.length) {
+    const match = phrases.find(p => p.every((word, j) => words[i + j] === word));
+    if (!match) return false;
+    i += match.length;
+  }
+  return true;
+}
+
+function speechDurationMs(result) {
+  const words = result.words || [];
+  if (words.length && words[words.length - 1].end > words[0].start) {
+    return (words[words.length - 1].end - words[0].start) * 1000;
+  }
+  if (result.duration > 0) return result.duration * 1000;
+  return normalize(result.text).split(" ").filter(Boolean).length * ESTIMATED_MS_PER_WORD;
+}
+
+/**
+ * Server-wide defaults from BARGE_IN_MODE, BARGE_IN_MIN_SPEECH_MS, BARGE_IN_MIN_WORDS,
+ * BARGE_IN_MIN_CONFIDENCE, BARGE_IN_DUCK_MS and BARGE_IN_BACKCHANNELS (comma-separated)
+ */
+function bargeInDefaultsFromEnv() {
+  const mode = (process.env.BARGE_IN_MODE || "stop").toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`BARGE_IN_MODE must be one of ${MODES.join(", ")} (got "${mode}")`);
+  }
+
+  return {
+    mode,
+    minSpeechMs: readNumber("BARGE_IN_MIN_SPEECH_MS", 300),
+    minWords: readNumber("BARGE_IN_MIN_WORDS", 1),
+    minConfidence: readNumber("BARGE_IN_MIN_CONFIDENCE", 0.6),
+    duckMs: readNumber("BARGE_IN_DUCK_MS", 1500),
+    backchannels: process.env.BARGE_IN_BACKCHANNELS
+      ? process.env.BARGE_IN_BACKCHANNELS.split(",").map(w => w.trim()).filter(Boolean)
+      : DEFAULT_BACKCHANNELS,
+  };
+}
+
+/**
+ * Session overrides checked and merged over the defaults
+ * @param {Object} overrides - Any of { mode, minSpeechMs, minWords, minConfidence, duckMs, backchannels }
+ * @throws {Error} On an invalid value
+ */
+function resolveBargeInSettings(defaults, overrides = {}) {
+  const settings = { ...defaults };
+  if (!overrides) return settings;
+
+  if (overrides.mode !== undefined) {
+    if (!MODES.includes(overrides.mode)) throw new Error(`mode must be one of ${MODES.join(", ")}`);
+    settings.mode = overrides.mode;
+  }
+  for (const key of ["minSpeechMs", "minWords", "duckMs"]) {
+    if (overrides[key] === undefined) continue;
+    if (!Number.isFinite(overrides[key]) || overrides[key] < 0 || overrides[key] > 10000) {
+      throw new Error(`${key} must be between 0 and 10000`);
+    }
+    settings[key] = overrides[key];
+  }
+  if (overrides.minConfidence !== undefined) {
+    if (!(overrides.minConfidence >= 0 && overrides.minConfidence <= 1)) {
+      throw new Error("minConfidence must be between 0 and 1");
+    }
+    settings.minConfidence = overrides.minConfidence;
+  }
+  if (overrides.backchannels !== undefined) {
+    if (!overrides.backchannels.every(w => typeof w === "string" && w.length <= 40)) {
+      throw new Error("backchannels must be a list of short phrases");
+    }
+    settings.backchannels = overrides.backchannels;
+  }
+  return settings;
+}
+
+/**
+ * Barge-in state for one connection
+ * @param {Object} opts - { getSettings: () => settings, isSpeaking: () => boolean,
+ *                          onDuck(), onRestore(), onStop(text) }
+ */
+function createBargeIn(opts) {
+  let duckTimer = null;
+
+  function restore() {
+    if (!duckTimer) return;
+    clearTimeout(duckTimer);
+    duckTimer = null;
+    opts.onRestore();
+  }
+
+  /**
+   * Why `result` does not take the turn, or null when it does
+   */
+  function rejectReason(result, settings) {
+    const text = normalize(result.text);
+    if (!text) return "empty";
+    if (isBackchannel(text, settings.backchannels)) return "backchannel";
+    if ((result.confidence ?? 1) < settings.minConfidence) return "low confidence";
+    if (text.split(" ").length < settings.minWords) return "too few words";
+    if (speechDurationMs(result) < settings.minSpeechMs) return "too short";
+    return null;
+  }
+
+  /**
+   * Feed every transcript (interim and final) heard while a reply may be playing
+   * @returns {boolean} Whether the reply was stopped
+   */
+  function onTranscript(result) {
+    if (!opts.isSpeaking()) {
+      restore();
+      return false;
+    }
+
+    const settings = opts.getSettings();
+    if (settings.mode === "off") return false;
+
+    const reason = rejectReason(result, settings);
+    if (!reason) {
+      console.log(`⛔ [BARGE-IN] "${result.text}" takes the turn`);
+      if (duckTimer) clearTimeout(duckTimer);
+      duckTimer = null;
+      opts.onStop(result.text);
+      return true;
+    }
+
+    if (reason !== "empty") console.log(`👂 [BARGE-IN] Ignored "${result.text}" (${reason})`);
+
+    // Real words that are not (yet) enough: duck and give them duckMs to grow
+    if (settings.mode === "duck" && reason !== "empty" && reason !== "backchannel") {
+      onSpeechStarted();
+    }
+    return false;
+  }
+
+  /**
+   * Voice activity before any words; only duck mode reacts
+   */
+  function onSpeechStarted() {
+    const settings = opts.getSettings();
+    if (settings.mode !== "duck" || !opts.isSpeaking()) return;
+
+    if (!duckTimer) {
+      console.log(`🔉 [BARGE-IN] Ducking`);
+      opts.onDuck();
+    } else {
+      clearTimeout(duckTimer);
+    }
+    duckTimer = setTimeout(() => {
+      duckTimer = null;
+      console.log(`🔊 [BARGE-IN] Restoring volume`);
+      opts.onRestore();
+    }, settings.duckMs);
+  }
+
+  return {
+    onTranscript,
+    onSpeechStarted,
+    // Call when the reply ends or is stopped some other way
+    reset() {
+      if (duckTimer) clearTimeout(duckTimer);
+      duckTimer = null;
+    },
+  };
+}
+
+module.exports = {
+  createBargeIn,
+  bargeInDefaultsFromEnv,
+  resolveBargeInSettings,
+  isBackchannel,
+  MODES,
+  SETTINGS,
+};
@@ -0,0 +1,526 @@
+// backend/conversation.js - One conversation turn: memory, routing, streamed reply and speech
+//
+// Shared by every input path (live speech, typed text) so they behave the same.
+const routeRequest = require("./intelligentRouter");
+const murfStreamSentences = require("./ttsStreamSentences");
+const { createSpeechStream } = murfStreamSentences;
+const { LIMIT_MESSAGES } = require("./rateLimiter");
+const { addMessage, toChatMessages, recentExchanges, compactHistory } = require("./history");
+const { createError } = require("../protocol");
+
+// Spoken limit notices are repeated at most this often per kind of limit
+const LIMIT_NOTICE_INTERVAL_MS = 30 * 1000;
+// Roughly one spoken chunk; used to estimate when speech can resume
+const MUTE_PROBE_CHARS = 120;
+// How long "continue" resumes an interrupted reply instead of asking the model
+const RESUME_WINDOW_MS = 10 * 60 * 1000;
+
+const CONTINUE_PATTERN = /^(?:please\s+)?(?:continue|go on|keep going|carry on|finish (?:that|it))(?:\s+please)?[\s.!?]*$/i;
+
+/**
+ * Whether `text` asks to hear the rest of the last reply
+ */
+function isContinueRequest(text) {
+  return CONTINUE_PATTERN.test(text.trim());
+}
+
+function extractLocation(text) {
+  const locationPatterns = [
+    /(?:in|at|for)\s+([A-Z][a-zA-Z\s]+?)(?:\s+city)?(?:\?|$|,|\s+what|\s+how)/i,
+    /(?:weather|temperature|forecast)\s+(?:in|at|for)\s+([A-Z][a-zA-Z\s]+)/i,
+    /(?:city|location|place)\s+(?:is|:)\s+([A-Z][a-zA-Z\s]+)/i
+  ];
+
+  for (const pattern of locationPatterns) {
+    const match = text.match(pattern);
+    if (match && match[1]) {
+      const location = match[1].trim();
+      if (location.length > 2 && location.length < 30) {
+        return location;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Memory as sent to the client in memory_update
+ */
+function memorySnapshot(memory) {
+  return {
+    userName: memory.userName,
+    location: memory.location,
+    date: memory.date,
+    history: recentExchanges(memory, 3),
+  };
+}
+
+// Memory context with name, location and date for the router; earlier
+// turns are passed separately as chat messages (routeOptions)
+function buildMemoryContext(memory) {
+  let memoryContext = "";
+  if (memory.userName) {
+    memoryContext += `User: ${memory.userName}\n`;
+  }
+  if (memory.location) {
+    memoryContext += `Location: ${memory.location}\n`;
+  }
+  if (memory.date) {
+    memoryContext += `Date: ${memory.date}\n`;
+  }
+  return memoryContext;
+}
+
+/**
+ * History options for routeRequest: chat messages within the token budget and
+ * the summary of anything older
+ */
+function routeOptions(memory) {
+  return {
+    history: toChatMessages(memory),
+    summary: memory.summary?.text || null,
+  };
+}
+
+/**
+ * Remember the user's name when they introduce themselves
+ * @returns {boolean} Whether memory changed
+ */
+function detectName(memory, text) {
+  const nameMatch = text.match(
+    /(?:my name is|i am|i'm|call me)\s+([A-Za-z]+)/i
+  );
+  if (nameMatch && nameMatch[1].length > 2) {
+    memory.userName = nameMatch[1];
+    console.log(`👤 [MEMORY] Name: ${memory.userName}`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Append one exchange to the history
+ * @param {Array} tools - Tool results used for the reply: [{ name, content }]
+ */
+function recordExchange(memory, userMsg, botMsg, tools = []) {
+  if (userMsg) {
+    addMessage(memory, "user", userMsg);
+
+    // Extract and save location
+    const location = extractLocation(userMsg);
+    if (location) {
+      memory.location = location;
+      console.log(`📍 [MEMORY] Location saved: ${location}`);
+    }
+  }
+
+  for (const tool of tools) {
+    addMessage(memory, "tool", tool.content, { name: tool.name });
+  }
+
+  if (botMsg) {
+    addMessage(memory, "assistant", botMsg);
+  }
+}
+
+/**
+ * The unheard rest of the last interrupted reply, if it is recent enough to resume
+ */
+function resumableText(memory) {
+  const interrupted = memory.interrupted;
+  if (!interrupted?.remaining || Date.now() - interrupted.at > RESUME_WINDOW_MS) return null;
+  return interrupted.remaining;
+}
+
+/**
+ * Summarize older history in the background and save the session if it changed
+ */
+function compactInBackground(memory, save) {
+  compactHistory(memory)
+    .then((changed) => { if (changed) save(); })
+    .catch(() => {});
+}
+
+/**
+ * Turn runner for one client socket and session
+ * @param {WebSocket} ws - Client socket
+ * @param {string} sessionId
+ * @param {Object} opts - { getSession: () => session, sessionStore, idleStatus: () => string,
+ *                          limiter, userId, echoGuard, playback, framedAudio: () => boolean,
+ *                          audioStream: () => "pcm" | "opus" | null, speech: speechSettingsFromEnv(),
+ *                          canSpeak: false when the TTS provider is not configured (text-only replies) }
+ */
+function createConversation(ws, sessionId, opts) {
+  const { getSession, sessionStore, limiter, echoGuard, playback } = opts;
+  const idleStatus = opts.idleStatus || (() => "Listening...");
+  const framedAudio = opts.framedAudio || (() => false);
+  const audioStream = opts.audioStream || (() => null);
+  const speechSettings = opts.speech || {};
+  const retrievalSettings = opts.retrieval;
+  const canSpeak = opts.canSpeak !== false;
+  const scope = { sessionId, userId: opts.userId || null };
+
+  // Turn ids are "<prefix>-<n>"; the random prefix keeps them apart from an earlier
+  // conversation on the same socket
+  const turnPrefix = Math.random().toString(36).slice(2, 8);
+  let turnCount = 0;
+
+  // The running turn; replaced (not awaited) when a newer turn interrupts it
+  let currentTurn = null;
+  // Live speech heard while a reply was already reaching the user; answered next
+  let pendingUtterances = [];
+
+  // Limit notices are spoken outside any turn so they survive the next one starting
+  let noticeController = null;
+  const lastNoticeAt = {};
+
+  // Acks can arrive after an interrupted turn is recorded; this keeps its heard text current
+  let stopHeardUpdates = null;
+
+  function send(msg) {
+    if (ws.readyState !== 1) return;
+    try {
+      ws.send(JSON.stringify(msg));
+    } catch (e) {}
+  }
+
+  function rememberName(text) {
+    if (detectName(getSession().memory, text)) {
+      sessionStore.save(sessionId);
+    }
+  }
+
+  function updateMemory(userMsg, botMsg, tools) {
+    const memory = getSession().memory;
+    recordExchange(memory, userMsg, botMsg, tools);
+    memoryChanged(memory);
+  }
+
+  function memoryChanged(memory) {
+    sessionStore.save(sessionId);
+    send({ type: "memory_update", memory: memorySnapshot(memory) });
+    compactInBackground(memory, () => sessionStore.save(sessionId));
+  }
+
+  /**
+   * Every audio frame goes through here so sequence numbers match the client's count
+   * @param {Object} turn - Turn the chunk belongs to, or null for notices
+   */
+  function chunkSent(turn, text, audio, format) {
+    echoGuard?.onChunkSent(text, audio, format);
+    const seq = playback ? playback.onChunkSent(text, audio, format) : null;
+    turn?.chunks.push({ seq, text });
+  }
+
+  // Chunks played to the end, plus the first words of one cut off part way
+  function heardText(chunks) {
+    const heard = [];
+    for (const chunk of chunks) {
+      const fraction = playback ? playback.playedFraction(chunk.seq) : 1;
+      if (fraction >= 1) {
+        heard.push(chunk.text);
+        continue;
+      }
+      const words = chunk.text.split(/\s+/);
+      const count = Math.floor(words.length * fraction);
+      if (count > 0) heard.push(words.slice(0, count).join(" ") + "...");
+    }
+    return heard.join(" ");
+  }
+
+  /**
+   * Store a spoken reply the user cut off: only the heard part goes into the history,
+   * the rest is kept in memory.interrupted for "continue"
+   * @param {string|null} reply - Full reply, or null when generation itself was cut off
+   */
+  function recordInterrupted(turn, userMsg, reply, unsent, tools) {
+    const memory = getSession().memory;
+    recordExchange(memory, userMsg, null, tools);
+    const message = addMessage(memory, "assistant", heardText(turn.chunks), { interrupted: true });
+    const interrupted = { remaining: null, at: Date.now() };
+    memory.interrupted = interrupted;
+
+    // Updated in place: once a newer turn drops memory.interrupted, late acks change nothing it uses
+    const refresh = () => {
+      const unplayed = turn.chunks.filter(c => playback && !playback.isPlayed(c.seq)).map(c => c.text);
+      message.content = heardText(turn.chunks);
+      interrupted.remaining = reply === null ? null : [...unplayed, unsent].filter(Boolean).join(" ") || null;
+    };
+    refresh();
+    console.log(`✂️ [PLAYBACK] Heard ${message.content.length} chars before the interruption`);
+
+    stopHeardUpdates?.();
+    stopHeardUpdates = null;
+    if (playback?.acksEnabled) {
+      stopHeardUpdates = playback.subscribe(() => {
+        refresh();
+        sessionStore.save(sessionId);
+      });
+    }
+    memoryChanged(memory);
+  }
+
+  /**
+   * Tell the client a limit was hit; the message is also spoken unless
+   * `speak` is false or the same limit was announced recently
+   */
+  function notifyLimit(limit, retryAfterMs, speak = true) {
+    console.log(`🚦 [LIMIT] ${sessionId} hit ${limit} (retry in ${Math.ceil(retryAfterMs / 1000)}s)`);
+    send(createError("RATE_LIMITED", LIMIT_MESSAGES[limit], { limit, retryAfterMs: Math.ceil(retryAfterMs) }));
+
+    const now = Date.now();
+    if (!speak || !canSpeak || now - (lastNoticeAt[limit] || 0) < LIMIT_NOTICE_INTERVAL_MS) return;
+    lastNoticeAt[limit] = now;
+
+    // Notices are not charged against the TTS budget, or running out could never be announced
+    noticeController?.abort();
+    const controller = new AbortController();
+    noticeController = controller;
+    murfStreamSentences(LIMIT_MESSAGES[limit], ws, {
+      signal: controller.signal,
+      framed: framedAudio(),
+      stream: audioStream(),
+      settings: speechSettings,
+      onChunkSent: (chunk, audio, format) => chunkSent(null, chunk, audio, format),
+      voiceId: getSession().voiceId || "en-US-terrell",
+    }).catch(() => {}).finally(() => {
+      if (noticeController === controller) noticeController = null;
+    });
+  }
+
+  /**
+   * Answer `text`: route it, stream the reply and optionally speak it
+   * @param {string} text - What the user said or typed
+   * @param {Object} turnOpts - { speak: true, replace: false, replan: false }; `replace` interrupts a
+   *                            running turn, but only once this one is allowed to start; `replan`
+   *                            marks a retry of that turn with more text, which is not charged again
+   */
+  async function runTurn(text, turnOpts = {}) {
+    let speak = canSpeak && turnOpts.speak !== false;
+
+    if (limiter) {
+      const allowed = turnOpts.replan ? { allowed: true } : limiter.consume("turns", scope);
+      if (!allowed.allowed) {
+        notifyLimit("turns", allowed.retryAfterMs, speak);
+        return;
+      }
+
+      // Out of voice: answer in text, as the notice explains
+      const voice = limiter.check("ttsChars", scope);
+      if (speak && !voice.allowed) {
+        notifyLimit("ttsChars", voice.retryAfterMs);
+        speak = false;
+      }
+    }
+
+    if (turnOpts.replace && currentTurn) {
+      console.log("🛑 [INTERRUPT] Replacing the running turn");
+      currentTurn.controller.abort();
+      send({ type: "stop_audio", turnId: currentTurn.id });
+      echoGuard?.onPlaybackStopped();
+    }
+
+    // `answered` is set once any of the reply reaches the user; before that the turn can be re-planned
+    const turn = {
+      id: `${turnPrefix}-${++turnCount}`,
+      controller: new AbortController(),
+      chunks: [],
+      text,
+      speak,
+      answered: false,
+      superseded: false,
+    };
+    const turnId = turn.id;
+    const signal = turn.controller.signal;
+    currentTurn = turn;
+
+    console.log(`\n⏳ [PROCESSING] Starting AI pipeline (turn ${turnId})`);
+    send({ type: "status", status: "Thinking...", turnId });
+
+    // What the user got of this turn so far
+    let speech = null;
+    let written = "";
+    let aiReply;
+    const tools = [];
+
+    // Recorded as soon as the turn is aborted, before a replacing turn reads the history
+    signal.addEventListener("abort", () => {
+      if (turn.superseded) return;
+      if (speech && !speech.muted) {
+        recordInterrupted(turn, text, aiReply ?? null, speech.unspoken(), tools);
+      } else {
+        updateMemory(text, aiReply ?? written.trim(), tools);
+      }
+    }, { once: true });
+
+    try {
+      // Looked up per turn: the session may have been reloaded from the store
+      const session = getSession();
+      const memoryContext = buildMemoryContext(session.memory);
+
+      // "Continue" right after an interruption replays the unheard rest as it was
+      const resume = isContinueRequest(text) ? resumableText(session.memory) : null;
+      if (session.memory.interrupted) {
+        delete session.memory.interrupted;
+        sessionStore.save(sessionId);
+      }
+
+      const documents = session.documents || [];
+      if (documents.length) {
+        console.log(`📄 [DOCUMENT] Library: ${documents.map(doc => doc.name).join(", ")}`);
+      }
+
+      let spokenSoFar = "";
+      let onDelta;
+
+      if (speak) {
+        // Sentences are voiced while the model is still writing the rest
+        speech = createSpeechStream(ws, {
+          signal,
+          voiceId: session.voiceId || "en-US-terrell",
+          turnId,
+          framed: framedAudio(),
+          stream: audioStream(),
+          settings: speechSettings,
+          beforeChunk: limiter && ((chunk) => limiter.consume("ttsChars", scope, chunk.length).allowed),
+          onChunkSent: (chunk, audio, format) => chunkSent(turn, chunk, audio, format),
+          onSentence: (sentence) => {
+            turn.answered = true;
+            if (!spokenSoFar) send({ type: "status", status: "Speaking...", turnId });
+            spokenSoFar = spokenSoFar ? spokenSoFar + " " + sentence : sentence;
+            send({ type: "reply", text: spokenSoFar, partial: true, turnId });
+          },
+        });
+        onDelta = (delta) => {
+          written += delta;
+          speech.push(delta);
+        };
+      } else {
+        onDelta = (delta) => {
+          written += delta;
+          turn.answered = true;
+          send({ type: "reply", text: written.trim(), partial: true, turnId });
+        };
+      }
+
+      let route = null;
+      let sources = null;
+      try {
+        if (resume) {
+          console.log(`⏩ [CONTINUE] Resuming ${resume.length} chars of the interrupted reply`);
+          route = { intent: "continue", mode: "continue" };
+          onDelta(resume);
+          aiReply = resume;
+        } else {
+          aiReply = await routeRequest(text, memoryContext, documents, signal, {
+            ...routeOptions(session.memory),
+            retrieval: retrievalSettings,
+            onDelta,
+            onRoute: (r) => { route = r; },
+            onTool: (t) => tools.push(t),
+            onSources: (s) => { sources = s; },
+          });
+        }
+      } finally {
+        speech?.end();
+      }
+
+      console.log(`💬 [AI] ${aiReply.length} chars`);
+      send({ type: "reply", text: aiReply, partial: false, route, turnId, ...(sources && { sources }) });
+
+      if (speech) {
+        await speech.done;
+        if (speech.muted) {
+          notifyLimit("ttsChars", limiter.check("ttsChars", scope, MUTE_PROBE_CHARS).retryAfterMs);
+        }
+        // Stay busy until the client has played the reply, so speaking over it still interrupts
+        const last = turn.chunks[turn.chunks.length - 1];
+        if (last && playback && !speech.muted) await playback.waitForPlayed(last.seq, signal);
+      }
+
+      if (signal.aborted) throw Object.assign(new Error("Interrupted"), { name: "AbortError" });
+
+      updateMemory(text, aiReply, tools);
+      console.log(`✅ [CYCLE] Complete\n`);
+    } catch (err) {
+      if (err.name === "AbortError") {
+        console.log(`⛔ [ABORT] Interrupted by user\n`);
+      } else {
+        console.error(`❌ [ERROR] ${err.message}`);
+        send(createError("LLM_FAILED", null, { turnId }));
+      }
+    } finally {
+      if (currentTurn === turn) {
+        currentTurn = null;
+        if (pendingUtterances.length) {
+          runTurn(pendingUtterances.splice(0).join(" "));
+        } else {
+          send({ type: "status", status: idleStatus(), turnId });
+        }
+      }
+    }
+  }
+
+  /**
+   * Answer live speech without losing any of it. While the running turn has not said
+   * anything yet, the new words are merged into it and it is planned again; once its
+   * reply is reaching the user, they wait and are answered when it ends.
+   */
+  function submitUtterance(text) {
+    if (!currentTurn) {
+      runTurn(text);
+      return;
+    }
+
+    if (!currentTurn.answered) {
+      console.log(`🔁 [UTTERANCE] Re-planning with "${text}"`);
+      currentTurn.superseded = true;
+      runTurn(`${currentTurn.text} ${text}`, { speak: currentTurn.speak, replace: true, replan: true });
+      return;
+    }
+
+    pendingUtterances.push(text);
+    console.log(`📥 [UTTERANCE] Queued "${text}" (${pendingUtterances.length} waiting)`);
+  }
+
+  /**
+   * Abort the running turn, if any, and tell the client it is idle again (the aborted
+   * turn no longer does once it is not current)
+   * @returns {string|null} Id of the turn that was running
+   */
+  function cancel() {
+    noticeController?.abort();
+    pendingUtterances = [];
+    if (!currentTurn) return null;
+    const { id } = currentTurn;
+    currentTurn.controller.abort();
+    currentTurn = null;
+    send({ type: "status", status: idleStatus(), turnId: id });
+    return id;
+  }
+
+  return {
+    sessionId,
+    runTurn,
+    submitUtterance,
+    cancel,
+    notifyLimit,
+    detectName: rememberName,
+    isBusy: () => currentTurn !== null,
+    // Some of the reply has reached the user; before that, more speech is merged into the turn
+    isSpeaking: () => currentTurn?.answered === true,
+    // Id the next turn will get; transcripts carry it since they start that turn
+    upcomingTurnId: () => `${turnPrefix}-${turnCount + 1}`,
+  };
+}
+
+module.exports = {
+  createConversation,
+  memorySnapshot,
+  buildMemoryContext,
+  routeOptions,
+  detectName,
+  recordExchange,
+  compactInBackground,
+};
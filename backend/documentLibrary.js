@@ -0,0 +1,171 @@
+// backend/documentLibrary.js - The documents a session has uploaded
+//
+// session.documents holds up to MAX_DOCUMENTS uploads:
+//   { id, name, filename, passages, pages, chars, size, uploadedAt, pinned }
+// `name` is what the user calls the document ("contract"); it starts as the file name
+// without its extension and can be changed. A question that names a document is
+// answered from that one; otherwise the pinned documents are searched, or all of
+// them when none is pinned.
+const crypto = require("crypto");
+const path = require("path");
+const { tokenize, splitIntoPassages } = require("./retrieval");
+
+const MAX_DOCUMENTS = 10;
+const MAX_NAME_CHARS = 100;
+// A question names a document when it contains at least this share of the name's words
+const NAME_MATCH = 0.5;
+
+function libraryError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Move a single `session.document` from before the library into `session.documents`
+ * @returns {boolean} Whether the session changed
+ */
+function migrateDocuments(session) {
+  if (Array.isArray(session.documents) && !("document" in session)) return false;
+
+  const documents = Array.isArray(session.documents) ? session.documents : [];
+  if (session.document) {
+    const { content, ...doc } = session.document;
+    documents.push({
+      id: newDocumentId(),
+      name: defaultName(doc.filename),
+      pinned: false,
+      ...doc,
+      // Stored before passages existed
+      passages: doc.passages || splitIntoPassages(content),
+    });
+  }
+  session.documents = documents;
+  delete session.document;
+  return true;
+}
+
+function newDocumentId() {
+  return "doc_" + crypto.randomBytes(6).toString("hex");
+}
+
+function defaultName(filename) {
+  return path.basename(filename, path.extname(filename)).substring(0, MAX_NAME_CHARS);
+}
+
+/**
+ * What clients see of a document (no passage text)
+ */
+function documentSummary(doc) {
+  return {
+    id: doc.id,
+    name: doc.name,
+    filename: doc.filename,
+    pages: doc.pages ?? null,
+    passages: doc.passages?.length ?? 0,
+    size: doc.size,
+    uploadedAt: doc.uploadedAt,
+    pinned: !!doc.pinned,
+  };
+}
+
+function listDocuments(session) {
+  return (session.documents || []).map(documentSummary);
+}
+
+/**
+ * @throws {Error} status 409 when the library is full
+ */
+function checkRoom(session) {
+  if (session.documents.length >= MAX_DOCUMENTS) {
+    throw libraryError(`Document library is full (${MAX_DOCUMENTS} documents); delete one first`, 409);
+  }
+}
+
+/**
+ * @param {Object} fields - { filename, passages, pages, chars, size }
+ * @throws {Error} status 409 when the library is full
+ */
+function addDocument(session, fields) {
+  checkRoom(session);
+  const doc = {
+    id: newDocumentId(),
+    name: defaultName(fields.filename),
+    pinned: false,
+    uploadedAt: new Date().toISOString(),
+    ...fields,
+  };
+  session.documents.push(doc);
+  return doc;
+}
+
+/**
+ * @throws {Error} status 404 for unknown ids
+ */
+function findDocument(session, id) {
+  const doc = (session.documents || []).find(d => d.id === id);
+  if (!doc) throw libraryError("Document not found", 404);
+  return doc;
+}
+
+/**
+ * Apply { name, pinned } from a PATCH body
+ * @throws {Error} status 400 for invalid values, 404 for unknown ids
+ */
+function updateDocument(session, id, changes = {}) {
+  const doc = findDocument(session, id);
+
+  if (changes.name !== undefined) {
+    const name = typeof changes.name === "string" ? changes.name.replace(/\s+/g, " ").trim() : "";
+    if (!name || name.length > MAX_NAME_CHARS) {
+      throw libraryError(`Name must be 1 to ${MAX_NAME_CHARS} characters`, 400);
+    }
+    doc.name = name;
+  }
+  if (changes.pinned !== undefined) {
+    if (typeof changes.pinned !== "boolean") throw libraryError("pinned must be true or false", 400);
+    doc.pinned = changes.pinned;
+  }
+  return doc;
+}
+
+function deleteDocument(session, id) {
+  const doc = findDocument(session, id);
+  session.documents = session.documents.filter(d => d !== doc);
+  return doc;
+}
+
+/**
+ * The documents a question is about
+ * @returns {Object} { documents, named } - `named` is true when the question named them
+ */
+function selectDocuments(documents, text) {
+  const words = new Set(tokenize(text));
+  let best = 0;
+  let named = [];
+
+  for (const doc of documents) {
+    const nameWords = [...new Set(tokenize(doc.name || doc.filename))];
+    if (!nameWords.length) continue;
+    const share = nameWords.filter(word => words.has(word)).length / nameWords.length;
+    if (share < NAME_MATCH || share < best) continue;
+    if (share > best) named = [];
+    best = share;
+    named.push(doc);
+  }
+  if (named.length) return { documents: named, named: true };
+
+  const pinned = documents.filter(doc => doc.pinned);
+  return { documents: pinned.length ? pinned : documents, named: false };
+}
+
+module.exports = {
+  migrateDocuments,
+  documentSummary,
+  listDocuments,
+  checkRoom,
+  addDocument,
+  findDocument,
+  updateDocument,
+  deleteDocument,
+  selectDocuments,
+  MAX_DOCUMENTS,
+};
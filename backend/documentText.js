@@ -0,0 +1,129 @@
+// backend/documentText.js - Text of uploaded PDF and DOCX files, with pages and headings
+//
+// Extraction keeps what a citation needs: the page each block is on (PDF only) and
+// which blocks are headings. PDF headings are lines set noticeably larger than the
+// body text; DOCX headings come from the Heading paragraph styles.
+const fs = require("fs");
+const pdfParse = require("pdf-parse");
+const mammoth = require("mammoth");
+
+// A PDF line at least this much larger than the body text is a heading
+const HEADING_SCALE = 1.15;
+const MAX_HEADING_CHARS = 100;
+
+function isHeadingLine(line, bodySize) {
+  const text = line.text.trim();
+  return bodySize > 0 &&
+    line.size >= bodySize * HEADING_SCALE &&
+    text.length <= MAX_HEADING_CHARS &&
+    /\p{L}/u.test(text) &&
+    !/[.,;]$/.test(text);
+}
+
+// Lines of one page, items on the same baseline joined (as pdf-parse's own renderer does)
+async function readPageLines(pageData) {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  const lines = [];
+  let lastY;
+  for (const item of content.items) {
+    const size = Math.abs(item.transform[3]) || item.height || 0;
+    if (lines.length && item.transform[5] === lastY) {
+      const line = lines[lines.length - 1];
+      line.text += item.str;
+      line.size = Math.max(line.size, size);
+    } else {
+      lines.push({ text: item.str, size });
+    }
+    lastY = item.transform[5];
+  }
+  return lines;
+}
+
+async function extractPdf(filePath) {
+  const pages = [];
+  const data = await pdfParse(fs.readFileSync(filePath), {
+    pagerender: async (pageData) => {
+      const lines = await readPageLines(pageData);
+      pages.push({ page: pageData.pageIndex + 1, lines });
+      return lines.map(line => line.text).join("\n");
+    },
+  });
+
+  // Body text size: the one most characters are set in
+  const weights = new Map();
+  for (const { lines } of pages) {
+    for (const line of lines) {
+      const size = Math.round(line.size * 2) / 2;
+      weights.set(size, (weights.get(size) || 0) + line.text.trim().length);
+    }
+  }
+  const bodySize = [...weights].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+  const blocks = [];
+  for (const { page, lines } of pages) {
+    let body = [];
+    let heading = [];
+    const flushBody = () => {
+      if (body.length) blocks.push({ text: body.join("\n"), page, heading: false });
+      body = [];
+    };
+    const flushHeading = () => {
+      if (heading.length) blocks.push({ text: heading.join(" "), page, heading: true });
+      heading = [];
+    };
+
+    for (const line of lines) {
+      if (!line.text.trim()) {
+        flushHeading();
+        flushBody();
+      } else if (isHeadingLine(line, bodySize)) {
+        flushBody();
+        heading.push(line.text.trim());
+      } else {
+        flushHeading();
+        body.push(line.text);
+      }
+    }
+    flushHeading();
+    flushBody();
+  }
+
+  return { blocks, pages: data.numpages };
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+async function extractDocx(filePath) {
+  const { value: html } = await mammoth.convertToHtml({ path: filePath });
+  const blocks = [];
+  for (const match of html.matchAll(/<(h[1-6]|p|li)\b[^>]*>([\s\S]*?)<\/\1>/g)) {
+    const inner = match[2].replace(/<br\s*\/?>/g, " ").replace(/<[^>]+>/g, "");
+    const text = decodeEntities(inner).replace(/\s+/g, " ").trim();
+    if (text) blocks.push({ text, page: null, heading: match[1][0] === "h" });
+  }
+  return { blocks, pages: null };
+}
+
+/**
+ * Read an uploaded document
+ * @param {string} ext - ".pdf", ".docx" or ".doc"
+ * @returns {Object} { blocks: [{ text, page, heading }], pages, chars } - `page` and `pages` are null for DOCX
+ */
+async function extractDocument(filePath, ext) {
+  const result = ext === ".pdf" ? await extractPdf(filePath) : await extractDocx(filePath);
+  result.chars = result.blocks.reduce((total, block) => total + block.text.length, 0);
+  return result;
+}
+
+module.exports = {
+  extractDocument,
+};
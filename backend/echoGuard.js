@@ -0,0 +1,174 @@
+// backend/echoGuard.js - Recognizes the assistant's own voice coming back through the microphone
+//
+// On laptop speakers the ASR hears the reply being played. Every chunk sent to
+// the client is recorded with the time it should be audible (chunks play one
+// after another); transcripts heard in that window are compared with its text.
+//   score >= ECHO_DISCARD_SCORE  -> echo, the transcript is dropped
+//   score >= ECHO_WEIGHT_SCORE   -> probably echo mixed with the user, confidence is lowered
+// ECHO_SUPPRESSION=false turns it off (e.g. for headset-only deployments).
+const { decodeWav } = require("./providers/tts/wav");
+const { readNumber } = require("./utils/env");
+
+// Speaking rate used when the audio length cannot be read (MP3)
+const ESTIMATED_MS_PER_CHAR = 65;
+// Chunks older than this are forgotten even if the estimate says they still play
+const MAX_WINDOW_MS = 60 * 1000;
+
+function normalizeWords(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// ASR rarely returns the exact word; allow one edit on longer words
+function similarWords(a, b) {
+  if (a === b) return true;
+  if (a.length < 4 || b.length < 4 || Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Share of the heard words that appear, in order, in the spoken words (0..1)
+ */
+function echoScore(heard, spoken) {
+  if (!heard.length || !spoken.length) return 0;
+
+  // Longest common subsequence over words, with fuzzy word equality
+  let prev = new Array(spoken.length + 1).fill(0);
+  for (let i = 1; i <= heard.length; i++) {
+    const row = new Array(spoken.length + 1).fill(0);
+    for (let j = 1; j <= spoken.length; j++) {
+      row[j] = similarWords(heard[i - 1], spoken[j - 1])
+        ? prev[j - 1] + 1
+        : Math.max(prev[j], row[j - 1]);
+    }
+    prev = row;
+  }
+  return prev[spoken.length] / heard.length;
+}
+
+function audioDurationMs(text, audio, format) {
+  // Streamed chunks know their length from the parts they were sent in
+  if (format?.durationMs) return format.durationMs;
+  if (format?.container === "wav") {
+    try {
+      const { pcm, sampleRate, channels } = decodeWav(audio);
+      return (pcm.length / (sampleRate * channels * 2)) * 1000;
+    } catch (e) {}
+  }
+  return text.length * ESTIMATED_MS_PER_CHAR;
+}
+
+/**
+ * Settings from ECHO_SUPPRESSION, ECHO_TAIL_MS, ECHO_DISCARD_SCORE and ECHO_WEIGHT_SCORE
+ */
+function echoSettingsFromEnv() {
+  return {
+    enabled: process.env.ECHO_SUPPRESSION !== "false",
+    tailMs: readNumber("ECHO_TAIL_MS", 1500),
+    discardScore: readNumber("ECHO_DISCARD_SCORE", 0.75),
+    weightScore: readNumber("ECHO_WEIGHT_SCORE", 0.4),
+  };
+}
+
+/**
+ * Echo tracking for one connection
+ * @param {Object} settings - { enabled, tailMs, discardScore, weightScore }
+ */
+function createEchoGuard(settings) {
+  // { words, start, end } in playback order
+  let spoken = [];
+  let playbackEnd = 0;
+
+  function prune(now) {
+    spoken = spoken.filter(c => c.end + settings.tailMs > now && now - c.start < MAX_WINDOW_MS);
+  }
+
+  /**
+   * Record a chunk that was just sent to the client
+   */
+  function onChunkSent(text, audio, format) {
+    if (!settings.enabled) return;
+    const now = Date.now();
+    const start = Math.max(now, playbackEnd);
+    const end = start + audioDurationMs(text, audio, format);
+    playbackEnd = end;
+    prune(now);
+    spoken.push({ words: normalizeWords(text), start, end });
+  }
+
+  /**
+   * The client dropped its queue (stop_audio); only what is already playing can still echo
+   */
+  function onPlaybackStopped() {
+    const now = Date.now();
+    playbackEnd = now;
+    spoken = spoken.filter(c => c.start <= now);
+    for (const chunk of spoken) chunk.end = Math.min(chunk.end, now);
+  }
+
+  /**
+   * Whether reply audio may be reaching the microphone right now
+   */
+  function isAudible() {
+    if (!settings.enabled) return false;
+    const now = Date.now();
+    prune(now);
+    return spoken.some(c => c.start <= now);
+  }
+
+  /**
+   * Compare a transcript with everything audible around now
+   * @returns {Object} { action: "keep" | "weight" | "discard", score, confidence }
+   */
+  function check(result) {
+    const confidence = result.confidence ?? 1;
+    if (!settings.enabled) return { action: "keep", score: 0, confidence };
+
+    const now = Date.now();
+    prune(now);
+    const audible = spoken.filter(c => c.start <= now);
+    if (!audible.length) return { action: "keep", score: 0, confidence };
+
+    const heard = normalizeWords(result.text);
+    const score = echoScore(heard, audible.flatMap(c => c.words));
+
+    if (score >= settings.discardScore) return { action: "discard", score, confidence: 0 };
+    if (score >= settings.weightScore) return { action: "weight", score, confidence: confidence * (1 - score / 2) };
+    return { action: "keep", score, confidence };
+  }
+
+  return {
+    onChunkSent,
+    onPlaybackStopped,
+    isAudible,
+    check,
+  };
+}
+
+module.exports = {
+  createEchoGuard,
+  echoSettingsFromEnv,
+  echoScore,
+  audioDurationMs,
+};
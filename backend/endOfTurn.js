@@ -0,0 +1,214 @@
+// backend/endOfTurn.js - Decides when the user has finished speaking
+//
+// Final transcripts are collected into one utterance, which is answered only
+// after a silence window that depends on how it ends:
+//   complete   ("...at three.")               -> silenceMs
+//   question   ("what's the weather?")        -> silenceMs / 2
+//   incomplete (ends with "and", "with", "um", "the", a comma or "...") -> incompleteSilenceMs
+// Any new speech (an interim transcript or VAD speech_started) restarts the wait.
+// Deepgram's UtteranceEnd (about a second without words) answers a complete
+// utterance at once. With `adaptive`, the windows stretch toward the pauses this
+// user actually makes mid-sentence, up to maxSilenceMs.
+//
+// Server defaults come from END_OF_TURN_* env variables; each session may override
+// them with an end_of_turn_config message.
+const { readNumber } = require("./utils/env");
+
+const SETTINGS = ["silenceMs", "incompleteSilenceMs", "maxSilenceMs", "adaptive"];
+
+// Words a finished sentence rarely ends with
+const TRAILING_WORDS = new Set([
+  // conjunctions
+  "and", "but", "or", "so", "because", "if", "then", "that", "which", "who", "when", "while", "although", "unless",
+  // prepositions
+  "with", "to", "for", "of", "in", "on", "at", "about", "from", "by", "into", "like", "than", "between",
+  // articles and determiners
+  "a", "an", "the", "my", "your", "our", "their", "his", "her", "this", "these", "those", "some", "any",
+  // fillers
+  "um", "umm", "uh", "uhh", "er", "erm", "hmm", "mm",
+  // subjects and helpers still waiting for the rest
+  "i", "i'm", "we", "is", "are", "was", "were", "be", "can", "could", "would", "should", "will", "want", "need",
+  "let", "let's", "me",
+]);
+const TRAILING_PHRASES = ["you know", "i mean", "kind of", "sort of"];
+
+// Pauses longer than this are not learned as mid-sentence pauses
+const MAX_LEARNED_PAUSE_MS = 4000;
+
+/**
+ * How an utterance ends: "complete", "question" or "incomplete"
+ */
+function classifyEnding(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return "incomplete";
+  if (/(\.\.\.|…|,|-|—)$/.test(trimmed)) return "incomplete";
+  if (trimmed.endsWith("?")) return "question";
+
+  // Smart formatting puts a full stop on anything, so punctuation alone says little
+  const words = trimmed.toLowerCase().replace(/[^a-z0-9'\s]/g, " ").split(/\s+/).filter(Boolean);
+  if (!words.length) return "incomplete";
+  if (TRAILING_WORDS.has(words[words.length - 1])) return "incomplete";
+  const lastTwo = words.slice(-2).join(" ");
+  if (TRAILING_PHRASES.includes(lastTwo)) return "incomplete";
+  return "complete";
+}
+
+/**
+ * Server-wide defaults from END_OF_TURN_SILENCE_MS, END_OF_TURN_INCOMPLETE_MS,
+ * END_OF_TURN_MAX_MS and END_OF_TURN_ADAPTIVE
+ */
+function endOfTurnDefaultsFromEnv() {
+  const settings = {
+    silenceMs: readNumber("END_OF_TURN_SILENCE_MS", 700),
+    incompleteSilenceMs: readNumber("END_OF_TURN_INCOMPLETE_MS", 2000),
+    maxSilenceMs: readNumber("END_OF_TURN_MAX_MS", 3000),
+    adaptive: process.env.END_OF_TURN_ADAPTIVE !== "false",
+  };
+  if (settings.maxSilenceMs < settings.incompleteSilenceMs) {
+    throw new Error("END_OF_TURN_MAX_MS must be at least END_OF_TURN_INCOMPLETE_MS");
+  }
+  return settings;
+}
+
+/**
+ * Session overrides checked and merged over the defaults
+ * @param {Object} overrides - Any of { silenceMs, incompleteSilenceMs, maxSilenceMs, adaptive }
+ * @throws {Error} On an invalid value
+ */
+function resolveEndOfTurnSettings(defaults, overrides = {}) {
+  const settings = { ...defaults };
+  if (!overrides) return settings;
+
+  for (const key of ["silenceMs", "incompleteSilenceMs", "maxSilenceMs"]) {
+    if (overrides[key] === undefined) continue;
+    if (!Number.isFinite(overrides[key]) || overrides[key] < 100 || overrides[key] > 10000) {
+      throw new Error(`${key} must be between 100 and 10000`);
+    }
+    settings[key] = overrides[key];
+  }
+  if (overrides.adaptive !== undefined) {
+    settings.adaptive = overrides.adaptive === true;
+  }
+  if (settings.maxSilenceMs < settings.incompleteSilenceMs) {
+    throw new Error("maxSilenceMs must be at least incompleteSilenceMs");
+  }
+  return settings;
+}
+
+/**
+ * End-of-turn state for one connection
+ * @param {Object} opts - { getSettings: () => settings, onEndOfTurn(text) }
+ */
+function createEndOfTurn(opts) {
+  let segments = [];
+  let timer = null;
+  let lastFinalAt = 0;
+  let resumed = false;
+  // Typical mid-sentence pause of this user (moving average), 0 until one is seen
+  let learnedPauseMs = 0;
+
+  function clearTimer() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function waitMs(ending) {
+    const settings = opts.getSettings();
+    let ms = ending === "incomplete" ? settings.incompleteSilenceMs
+      : ending === "question" ? settings.silenceMs / 2
+      : settings.silenceMs;
+    if (settings.adaptive && learnedPauseMs) {
+      ms = Math.max(ms, learnedPauseMs * 1.2);
+    }
+    return Math.min(ms, settings.maxSilenceMs);
+  }
+
+  function commit(reason) {
+    clearTimer();
+    const text = segments.join(" ").trim();
+    segments = [];
+    if (!text) return;
+    console.log(`🏁 [END-OF-TURN] "${text}" (${reason})`);
+    opts.onEndOfTurn(text);
+  }
+
+  function schedule() {
+    clearTimer();
+    if (!segments.length) return;
+    const ending = classifyEnding(segments[segments.length - 1]);
+    const ms = waitMs(ending);
+    timer = setTimeout(() => commit(`${ending}, ${Math.round(ms)}ms silence`), ms);
+  }
+
+  // The user carried on after a pause we were waiting on; learn how long it was
+  function noteResumed() {
+    if (!segments.length || resumed) return;
+    resumed = true;
+    const pause = Date.now() - lastFinalAt;
+    if (opts.getSettings().adaptive && pause < MAX_LEARNED_PAUSE_MS) {
+      learnedPauseMs = learnedPauseMs ? learnedPauseMs * 0.7 + pause * 0.3 : pause;
+    }
+  }
+
+  /**
+   * Feed every transcript (interim and final) that is meant for the conversation
+   */
+  function onTranscript(result) {
+    const text = result.text?.trim();
+    if (!text) return;
+
+    if (!result.isFinal) {
+      // Still talking: hold the answer until this speech is final, or give up
+      // on the final after maxSilenceMs and answer what we have
+      if (!segments.length) return;
+      noteResumed();
+      clearTimer();
+      timer = setTimeout(() => commit("no final transcript"), opts.getSettings().maxSilenceMs);
+      return;
+    }
+
+    noteResumed();
+    lastFinalAt = Date.now();
+    resumed = false;
+    segments.push(text);
+    schedule();
+  }
+
+  /**
+   * Voice activity before any words: the user may be continuing
+   */
+  function onSpeechStarted() {
+    if (!segments.length) return;
+    noteResumed();
+    schedule();
+  }
+
+  /**
+   * The ASR saw no words for a while; a complete utterance needs no further wait
+   */
+  function onUtteranceEnd() {
+    if (!segments.length) return;
+    const ending = classifyEnding(segments[segments.length - 1]);
+    if (ending !== "incomplete") commit(`${ending}, utterance end`);
+  }
+
+  return {
+    onTranscript,
+    onSpeechStarted,
+    onUtteranceEnd,
+    pendingText: () => segments.join(" "),
+    // Drop anything not yet answered (the microphone was closed)
+    reset() {
+      clearTimer();
+      segments = [];
+    },
+  };
+}
+
+module.exports = {
+  createEndOfTurn,
+  endOfTurnDefaultsFromEnv,
+  resolveEndOfTurnSettings,
+  classifyEnding,
+  SETTINGS,
+};
@@ -0,0 +1,207 @@
+// backend/history.js - Role-based conversation history with a token budget
+//
+// Each session keeps memory.messages, oldest first:
+//   { role: "user" | "assistant" | "tool", content, at (ms), name (tool only),
+//     interrupted (assistant only: content is just what the user heard) }
+// The models get the newest messages that fit HISTORY_TOKEN_BUDGET as real chat
+// turns. Once the history grows past HISTORY_SUMMARIZE_TOKENS, older turns are
+// folded into memory.summary ({ text, messages, at }) by the fast tier.
+const llm = require("./providers/llm");
+
+const HISTORY_TOKEN_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET) || 1500;
+const SUMMARIZE_AFTER_TOKENS = Number(process.env.HISTORY_SUMMARIZE_TOKENS) || 3000;
+const KEEP_RECENT_MESSAGES = 8;   // Never summarized away
+const MAX_MESSAGES = 60;          // Hard cap if summarization keeps failing
+const MAX_MESSAGE_CHARS = 4000;
+const MAX_SUMMARY_CHARS = 1500;
+
+// Rough count for budgeting; about 4 characters per token plus role overhead
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4) + 4;
+}
+
+/**
+ * Append one message to the session history
+ * @param {string} role - "user", "assistant" or "tool"
+ * @param {Object} extra - { name } for tool results, { interrupted } for cut-off replies
+ * @returns {Object|undefined} The stored message
+ */
+function addMessage(memory, role, content, extra = {}) {
+  if (!content && !extra.interrupted) return;
+  const message = {
+    role,
+    content: String(content || "").substring(0, MAX_MESSAGE_CHARS),
+    at: Date.now(),
+    ...(extra.name && { name: extra.name }),
+    ...(extra.interrupted && { interrupted: true }),
+  };
+  memory.messages.push(message);
+  if (memory.messages.length > MAX_MESSAGES) {
+    memory.messages.splice(0, memory.messages.length - MAX_MESSAGES);
+  }
+  return message;
+}
+
+/**
+ * Bring memory saved before role-based history (lastUserMessages / lastBotMessages) up to date
+ * @returns {boolean} Whether memory changed
+ */
+function migrateMemory(memory) {
+  if (Array.isArray(memory.messages)) return false;
+
+  const users = memory.lastUserMessages || [];
+  const bots = memory.lastBotMessages || [];
+  memory.messages = [];
+  memory.summary = null;
+  users.forEach((text, i) => {
+    addMessage(memory, "user", text);
+    addMessage(memory, "assistant", bots[i]);
+  });
+  delete memory.lastUserMessages;
+  delete memory.lastBotMessages;
+  return true;
+}
+
+// Tool results ride along as user-side context so every provider accepts them;
+// cut-off replies are marked so the model knows the user did not hear the rest
+function toChatMessage(message) {
+  if (message.role === "tool") {
+    return { role: "user", content: `[${message.name || "tool"} result] ${message.content}` };
+  }
+  if (message.interrupted) {
+    return { role: "assistant", content: `${message.content} [interrupted here by the user]`.trim() };
+  }
+  return { role: message.role, content: message.content };
+}
+
+/**
+ * Append `message` to chat messages, merging it into the last one when the
+ * roles match (Gemini requires user and model turns to alternate)
+ */
+function pushChatMessage(messages, message) {
+  const last = messages[messages.length - 1];
+  if (last && last.role === message.role) {
+    messages[messages.length - 1] = { role: last.role, content: last.content + "\n\n" + message.content };
+  } else {
+    messages.push(message);
+  }
+  return messages;
+}
+
+/**
+ * The newest history that fits the token budget, as { role, content } chat messages.
+ * Always starts with a user turn.
+ */
+function toChatMessages(memory, budget = HISTORY_TOKEN_BUDGET) {
+  const picked = [];
+  let used = 0;
+
+  for (let i = memory.messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(memory.messages[i].content);
+    if (used + cost > budget) break;
+    used += cost;
+    picked.unshift(memory.messages[i]);
+  }
+
+  const messages = [];
+  for (const message of picked) pushChatMessage(messages, toChatMessage(message));
+  while (messages.length && messages[0].role !== "user") messages.shift();
+  return messages;
+}
+
+/**
+ * Last `count` user/assistant pairs, for display
+ * @returns {Array} [{ user, assistant }]
+ */
+function recentExchanges(memory, count) {
+  const exchanges = [];
+  for (const message of memory.messages) {
+    if (message.role === "user") {
+      exchanges.push({ user: message.content, assistant: "" });
+    } else if (message.role === "assistant" && exchanges.length) {
+      const last = exchanges[exchanges.length - 1];
+      last.assistant = last.assistant ? last.assistant + " " + message.content : message.content;
+    }
+  }
+  return exchanges.slice(-count);
+}
+
+function historyTokens(memory) {
+  return memory.messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+}
+
+function transcriptOf(messages) {
+  return messages
+    .map(m => `${m.role === "tool" ? `Tool (${m.name || "tool"})` : m.role === "user" ? "User" : "Gyaanchand"}: ${m.content}`)
+    .join("\n");
+}
+
+// Summaries in progress, per session memory; turns that end meanwhile do not start another
+const compacting = new WeakMap();
+
+/**
+ * Fold older turns into memory.summary once the history is over budget.
+ * Safe to run while new messages arrive: only the turns it summarized are removed.
+ * While a summary for the same memory is pending this does nothing.
+ * @returns {boolean} Whether memory changed
+ */
+async function compactHistory(memory, signal = null) {
+  if (compacting.has(memory)) return false;
+
+  const running = summarizeOlder(memory, signal);
+  compacting.set(memory, running);
+  try {
+    return await running;
+  } finally {
+    compacting.delete(memory);
+  }
+}
+
+async function summarizeOlder(memory, signal) {
+  if (historyTokens(memory) <= SUMMARIZE_AFTER_TOKENS) return false;
+
+  const count = memory.messages.length - KEEP_RECENT_MESSAGES;
+  if (count <= 0) return false;
+  const older = memory.messages.slice(0, count);
+  const previous = memory.summary?.text;
+
+  console.log(`🗜️ [HISTORY] Summarizing ${older.length} older messages`);
+
+  try {
+    const result = await llm.complete("fast", {
+      system: "You compress conversation history for a voice assistant. Reply with the summary only.",
+      messages: [{
+        role: "user",
+        content: `${previous ? `Summary so far:\n${previous}\n\n` : ""}Conversation:\n${transcriptOf(older)}\n\n` +
+          "Write an updated summary in under 120 words. Keep names, facts, numbers, decisions and open questions.",
+      }],
+      signal,
+      overrides: { maxTokens: 250 },
+    });
+
+    // Another compaction may have run meanwhile; only remove what is still there
+    if (memory.messages[0] !== older[0]) return false;
+
+    memory.messages.splice(0, older.length);
+    memory.summary = {
+      text: result.text.trim().substring(0, MAX_SUMMARY_CHARS),
+      messages: (memory.summary?.messages || 0) + older.length,
+      at: Date.now(),
+    };
+    console.log(`✅ [HISTORY] Summary now covers ${memory.summary.messages} messages`);
+    return true;
+  } catch (err) {
+    if (err.name !== "AbortError") console.error(`❌ [HISTORY] Summary failed: ${err.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  addMessage,
+  migrateMemory,
+  toChatMessages,
+  pushChatMessage,
+  recentExchanges,
+  compactHistory,
+  estimateTokens,
+};
@@ -1,43 +1,15 @@
 // backend/intelligentRouter.js - FIXED: Weather API integration + Better memory
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const Groq = require("groq-sdk");
+const llm = require("./providers/llm");
 const { getWeather } = require("./weatherService");
+const { pushChatMessage } = require("./history");
+const { retrievePassages, citationFor, sourcesFor } = require("./retrieval");
+const { selectDocuments } = require("./documentLibrary");
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-
-let geminiFlashModel = null;
-let geminiProModel = null;
-
-function getGeminiFlashModel() {
-  if (!geminiFlashModel) {
-    geminiFlashModel = genAI.getGenerativeModel({ 
-      model: "gemini-1.5-flash-latest",
-      generationConfig: { 
-        temperature: 0.7, 
-        topP: 0.85, 
-        maxOutputTokens: 250,
-        candidateCount: 1
-      }
-    });
-  }
-  return geminiFlashModel;
-}
-
-function getGeminiProModel() {
-  if (!geminiProModel) {
-    geminiProModel = genAI.getGenerativeModel({ 
-      model: "gemini-1.5-pro-latest",
-      generationConfig: { 
-        temperature: 0.7, 
-        topP: 0.9, 
-        maxOutputTokens: 350,
-        candidateCount: 1
-      }
-    });
-  }
-  return geminiProModel;
-}
+// Spoken when every model failed; word for word, so the TTS cache warms it up
+const FALLBACK_REPLY = "I'm having trouble right now. Could you try again?";
+// Questions that do not mention the document still go to it when the retrieved
+// passages contain at least half of their terms
+const DOCUMENT_MATCH = 0.5;
 
 function classifyIntent(text) {
   const lower = text.toLowerCase();
@@ -133,106 +105,117 @@ BE DIRECT AND HELPFUL.`;
   return basePrompt;
 }
 
+// Known facts only; earlier turns travel as chat messages
 function buildMemoryContext(memoryContext) {
   if (!memoryContext || memoryContext.length < 10) return "";
-  
-  const lines = memoryContext.split('\n').filter(l => l.trim());
-  const compact = [];
-  
-  for (const line of lines) {
-    if (line.includes("User:") || line.includes("Location:") || line.includes("Date:")) {
-      compact.push(line);
-    } else if (line.includes("Recent") && compact.length < 3) {
-      const messages = line.split('|').slice(-2).join('|');
-      compact.push(messages.substring(0, 150));
-    }
-  }
-  
-  return compact.join('\n').substring(0, 250);
-}
 
-async function callGeminiFlash(prompt, systemPrompt, signal) {
-  console.log("🚀 [AI] Gemini 1.5 Flash");
-  
-  const model = getGeminiFlashModel();
-  const startTime = Date.now();
+  return memoryContext
+    .split('\n')
+    .filter(line => /^(User|Location|Date):/.test(line.trim()))
+    .join('\n');
+}
 
-  try {
-    const result = await model.generateContent({
-      contents: [
-        { role: "user", parts: [{ text: systemPrompt + "\n\n" + prompt }] }
-      ]
-    });
-
-    const response = result.response.text().trim();
-    console.log(`✅ [AI] Flash: ${Date.now() - startTime}ms`);
-    return response;
-    
-  } catch (error) {
-    console.error(`❌ [AI] Flash failed: ${error.message}`);
-    throw error;
-  }
+// Earlier turns older than the chat history, summarized
+function withSummary(systemPrompt, summary) {
+  if (!summary) return systemPrompt;
+  return systemPrompt + `\n\nEARLIER IN THIS CONVERSATION:\n${summary}`;
 }
 
-async function callGeminiPro(prompt, systemPrompt, signal) {
-  console.log("🔍 [AI] Gemini 1.5 Pro");
-  
-  const model = getGeminiProModel();
-  const startTime = Date.now();
+// Model choice lives in the LLM registry; fallbacks are walked there too.
+// `route` receives the tier, provider and model that actually answered.
+// `history` holds earlier turns as chat messages; the prompt becomes the last user turn.
+async function callTier(tier, prompt, systemPrompt, signal, onDelta, route, history = []) {
+  const req = {
+    system: systemPrompt,
+    messages: pushChatMessage([...history], { role: "user", content: prompt }),
+    signal,
+    onRoute: (info) => Object.assign(route, info)
+  };
+
+  if (!onDelta) {
+    const result = await llm.complete(tier, req);
+    Object.assign(route, { tier: result.tier, provider: result.provider, model: result.model });
+    return result.text;
+  }
 
+  const emitter = createDeltaEmitter(onDelta);
   try {
-    const result = await model.generateContent({
-      contents: [
-        { role: "user", parts: [{ text: systemPrompt + "\n\n" + prompt }] }
-      ]
-    });
-
-    const response = result.response.text().trim();
-    console.log(`✅ [AI] Pro: ${Date.now() - startTime}ms`);
-    return response;
-    
+    for await (const delta of llm.stream(tier, req)) {
+      emitter.push(delta);
+    }
   } catch (error) {
-    console.error(`❌ [AI] Pro failed: ${error.message}`);
-    throw error;
+    // Part of the answer is already on its way to the speaker; keep it
+    if (error.name === 'AbortError' || !emitter.text) throw error;
+    console.error(`❌ [AI] Stream cut off: ${error.message}`);
   }
+  return emitter.end();
 }
 
-async function callGroq(prompt, systemPrompt, signal) {
-  console.log("⚡ [AI] Groq Llama 3.3 70B");
-  
-  const startTime = Date.now();
-
-  try {
-    const response = await groq.chat.completions.create({
-      model: "llama-3.3-70b-versatile",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: prompt }
-      ],
-      max_tokens: 300,
-      temperature: 0.75,
-      top_p: 0.9
-    });
-
-    const content = response.choices[0].message.content.trim();
-    console.log(`✅ [AI] Groq: ${Date.now() - startTime}ms`);
-    return content;
-    
-  } catch (error) {
-    console.error(`❌ [AI] Groq failed: ${error.message}`);
-    throw error;
-  }
+// Holds back the first few characters so a "Gyaanchand:" prefix never reaches TTS
+function createDeltaEmitter(onDelta) {
+  const PREFIX = /^\s*Gyaanchand:\s*/i;
+  let text = "";
+  let held = "";
+  let started = false;
+
+  return {
+    get text() {
+      return text + held;
+    },
+    push(delta) {
+      if (started) {
+        text += delta;
+        onDelta(delta);
+        return;
+      }
+      held += delta;
+      if (held.length < "Gyaanchand:".length + 1 && !/[^\sA-Za-z:]/.test(held)) return;
+
+      started = true;
+      const first = held.replace(PREFIX, "");
+      held = "";
+      text += first;
+      if (first) onDelta(first);
+    },
+    end() {
+      if (!started) {
+        started = true;
+        const first = held.replace(PREFIX, "");
+        held = "";
+        text += first;
+        if (first) onDelta(first);
+      }
+      return text;
+    },
+  };
 }
 
-async function routeRequest(text, memoryContext = "", documentContent = null, signal = null) {
+/**
+ * Pick a route for the user's text and generate the reply
+ * @param {Object} opts - { onDelta(text) } streams the reply as it is generated,
+ *   { onRoute(route) } receives { intent, complexity, mode, tier, provider, model } once done,
+ *   { history } earlier turns as [{ role, content }] (see history.js), { summary } of older turns,
+ *   { onTool({ name, content }) } receives tool results used for the reply,
+ *   { retrieval } passage settings (see retrieval.js),
+ *   { onSources(sources) } receives the document passages a document answer relies on
+ * @param {Object[]} documents - The session's document library (see documentLibrary.js); a
+ *   question that names a document is answered from it alone
+ * @returns {string} The complete reply
+ */
+async function routeRequest(text, memoryContext = "", documents = null, signal = null, opts = {}) {
+  const onDelta = opts.onDelta || null;
+  const history = opts.history || [];
   const startTime = Date.now();
   const intent = classifyIntent(text);
+  const route = { intent: intent.type, complexity: intent.complexity, mode: null };
   
   console.log(`\n🧠 [INTENT] ${intent.type} | ${intent.complexity}`);
 
   try {
     const compactMemory = buildMemoryContext(memoryContext);
-    const systemPrompt = getSystemPrompt(intent, !!compactMemory, !!documentContent);
+    const systemPrompt = withSummary(getSystemPrompt(intent, !!compactMemory, !!documents?.length), opts.summary);
+    const library = documents?.length && intent.type !== "weather" ? selectDocuments(documents, text) : null;
+    const retrieval = library ? retrievePassages(library.documents, text, opts.retrieval) : null;
     
     let response;
     let finalPrompt;
@@ -240,6 +223,7 @@ async function routeRequest(text, memoryContext = "", documentContent = null, si
     // Weather queries
     if (intent.type === "weather") {
       console.log("🌤️ [WEATHER-MODE]");
+      route.mode = "weather";
       
       // Extract location from query or memory
       let location = extractLocation(text);
@@ -264,7 +248,11 @@ async function routeRequest(text, memoryContext = "", documentContent = null, si
       
       if (weatherResult.success) {
         const weatherData = weatherResult.data;
-        
+        opts.onTool?.({
+          name: "weather",
+          content: `${weatherData.location}, ${weatherData.country}: ${weatherData.temperature}°C, ${weatherData.description}, humidity ${weatherData.humidity}%, wind ${weatherData.windSpeed} m/s`,
+        });
+
         finalPrompt = `${compactMemory ? 'Context:\n' + compactMemory + '\n\n' : ''}WEATHER DATA:
 Location: ${weatherData.location}, ${weatherData.country}
 Temperature: ${weatherData.temperature}°C (feels like ${weatherData.feelsLike}°C)
@@ -276,77 +264,65 @@ USER: ${text}
 
 Provide a natural, conversational weather response (40-70 words) including the temperature, conditions, and helpful advice based on the weather.`;
         
-        try {
-          response = await callGeminiFlash(finalPrompt, systemPrompt, signal);
-        } catch (err) {
-          if (err.name === 'AbortError') throw err;
-          response = await callGroq(finalPrompt, systemPrompt, signal);
-        }
+        response = await callTier("fast", finalPrompt, systemPrompt, signal, onDelta, route, history);
       } else {
         // Weather API failed
         response = weatherResult.message;
+        if (onDelta) onDelta(response);
       }
     }
     // Document queries
-    else if (documentContent && (intent.type === "document" || /document|pdf|file|summarize|uploaded/i.test(text))) {
+    else if (retrieval?.passages.length && (library.named || intent.type === "document" || /document|pdf|file|summarize|uploaded/i.test(text) || retrieval.matched >= DOCUMENT_MATCH)) {
       console.log("📄 [DOCUMENT-MODE]");
-      
-      finalPrompt = `${compactMemory ? 'Context:\n' + compactMemory + '\n\n' : ''}DOCUMENT:
-${documentContent.substring(0, 3500)}
+      route.mode = "document";
+      const names = library.documents.map(doc => `"${doc.name || doc.filename}"`).join(", ");
+      console.log(`🔎 [RETRIEVE] ${names}${library.named ? " (named)" : ""}: ${retrieval.passages.length}/${retrieval.total} passages (${retrieval.passages.map(p => `#${p.id + 1}`).join(", ")}), ${Math.round(retrieval.matched * 100)}% of terms matched`);
+
+      const several = retrieval.documents > 1;
+      const passages = retrieval.passages
+        .map(p => `[Passage ${p.id + 1}${citationFor(p, several) ? ` - ${citationFor(p, several)}` : ""}]\n${p.text}`)
+        .join("\n\n");
+      finalPrompt = `${compactMemory ? 'Context:\n' + compactMemory + '\n\n' : ''}${several ? "DOCUMENTS" : "DOCUMENT"} ${names} (${retrieval.passages.length} ${retrieval.overview ? "passages spread over all" : "most relevant"} of ${retrieval.total} passages):
+${passages}
 
 USER: ${text}
 
-Provide clear response (80-120 words) with specific facts from document.`;
+Provide clear response (80-120 words) with specific facts from these passages. Say where the answer is the way you would aloud, like "that's on page 12, under Pricing", using the page and section shown for the passage${several ? " and which document it is in" : ""}; never mention passage numbers. If they do not answer the question, say so briefly.`;
       
-      try {
-        response = await callGeminiPro(finalPrompt, systemPrompt, signal);
-      } catch (err) {
-        if (err.name === 'AbortError') throw err;
-        response = await callGroq(finalPrompt, systemPrompt, signal);
-      }
+      response = await callTier("document", finalPrompt, systemPrompt, signal, onDelta, route, history);
+      opts.onSources?.(sourcesFor(response, retrieval, text));
     }
     // Greetings - Use fastest model
     else if (intent.type === "greeting") {
+      route.mode = "greeting";
       finalPrompt = `${compactMemory ? 'Context: ' + compactMemory + '\n\n' : ''}User: ${text}
 
 Respond warmly in 20-40 words.`;
       
-      try {
-        response = await callGeminiFlash(finalPrompt, systemPrompt, signal);
-      } catch (err) {
-        if (err.name === 'AbortError') throw err;
-        response = await callGroq(finalPrompt, systemPrompt, signal);
-      }
+      response = await callTier("fast", finalPrompt, systemPrompt, signal, onDelta, route, history);
     }
     // Simple queries
     else if (intent.complexity === "simple") {
+      route.mode = "simple";
       finalPrompt = `${compactMemory ? 'Context: ' + compactMemory + '\n\n' : ''}User: ${text}
 
 Answer clearly in 40-70 words.`;
       
-      try {
-        response = await callGeminiFlash(finalPrompt, systemPrompt, signal);
-      } catch (err) {
-        if (err.name === 'AbortError') throw err;
-        response = await callGroq(finalPrompt, systemPrompt, signal);
-      }
+      response = await callTier("fast", finalPrompt, systemPrompt, signal, onDelta, route, history);
     }
     // Complex queries
     else {
+      route.mode = "complex";
       finalPrompt = `${compactMemory ? 'Context: ' + compactMemory + '\n\n' : ''}User: ${text}
 
 Provide thorough response in 120-180 words with clear structure.`;
       
-      try {
-        response = await callGeminiPro(finalPrompt, systemPrompt, signal);
-      } catch (err) {
-        if (err.name === 'AbortError') throw err;
-        response = await callGroq(finalPrompt, systemPrompt, signal);
-      }
+      response = await callTier("smart", finalPrompt, systemPrompt, signal, onDelta, route, history);
     }
 
     const elapsed = Date.now() - startTime;
     console.log(`✅ [PERFORMANCE] ${elapsed}ms | ${response.length} chars\n`);
+    opts.onRoute?.(route);
     
     return response.replace(/^Gyaanchand:\s*/i, "").trim();
 
@@ -357,8 +333,11 @@ Provide thorough response in 120-180 words with clear structure.`;
     }
     
     console.error(`❌ [ERROR] ${error.message}\n`);
-    return "I'm having trouble right now. Could you try again?";
+    if (onDelta) onDelta(FALLBACK_REPLY);
+    opts.onRoute?.({ ...route, mode: "error" });
+    return FALLBACK_REPLY;
   }
 }
 
-module.exports = routeRequest;
\ No newline at end of file
+module.exports = routeRequest;
+module.exports.FALLBACK_REPLY = FALLBACK_REPLY;
\ No newline at end of file
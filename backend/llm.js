@@ -1,11 +1,7 @@
-// backend/llm.js - Optimized Groq-first with enhanced personality
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const Groq = require("groq-sdk");
+// backend/llm.js - Compact chat with enhanced personality (models come from the LLM registry)
 const path = require("path");
 require("dotenv").config({ path: path.join(__dirname, ".env") });
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+const llm = require("./providers/llm");
 
 // Lightweight conversation memory
 let conversationMemory = { userName: null, history: [] };
@@ -89,11 +85,6 @@ USE INSTEAD:
 
 Remember: You're having a conversation, not writing an essay. Be quick, natural, and helpful.`;
 
-const geminiModel = genAI.getGenerativeModel({
-  model: "gemini-1.5-flash-latest",
-  systemInstruction: { role: "system", parts: [{ text: SYSTEM_PROMPT }] }
-});
-
 async function getAIResponse(userText) {
   try {
     // Extract name if provided
@@ -117,45 +108,21 @@ async function getAIResponse(userText) {
       ? `Context:\n${memoryContext}\n\nUser: ${userText}\n\nRespond naturally in 2-5 short sentences (max 70 words).`
       : `User: ${userText}\n\nRespond naturally in 2-5 short sentences (max 70 words).`;
 
-    // PRIMARY: Try Groq FIRST (fastest response)
+    // "fast" tier walks its own fallback chain (Gemini → Groq by default)
     try {
-      const groqRes = await groq.chat.completions.create({
-        model: "llama-3.3-70b-versatile",
-        messages: [
-          { role: "system", content: SYSTEM_PROMPT },
-          { role: "user", content: prompt }
-        ],
-        max_tokens: 200, // Reduced for faster responses
-        temperature: 0.7,
-        top_p: 0.9
+      const result = await llm.complete("fast", {
+        system: SYSTEM_PROMPT,
+        messages: [{ role: "user", content: prompt }],
+        overrides: { temperature: 0.7, topP: 0.9, maxTokens: 200 } // Reduced for faster responses
       });
 
-      const reply = (groqRes?.choices?.[0]?.message?.content || "").trim();
-      if (reply && reply.length > 5) {
-        addToMemory(userText, reply);
-        return reply;
-      }
-      throw new Error("Empty Groq response");
-    } catch (gErr) {
-      console.log("⚠️ Groq failed, trying Gemini:", gErr?.message || gErr);
-    }
+      const reply = result.text.replace(/^Gyaanchand:\s*/i, "").trim();
+      if (!reply || reply.length <= 5) throw new Error("Empty model response");
 
-    // FALLBACK: Gemini
-    try {
-      const result = await geminiModel.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: { 
-          temperature: 0.7, 
-          topP: 0.9, 
-          maxOutputTokens: 200 // Reduced for speed
-        }
-      });
-      let response = result.response.text().trim();
-      response = response.replace(/^Gyaanchand:\s*/i, "").trim();
-      addToMemory(userText, response);
-      return response;
+      addToMemory(userText, reply);
+      return reply;
     } catch (err) {
-      console.error("❌ Gemini also failed:", err?.message || err);
+      console.error("❌ All models failed:", err?.message || err);
       return "I'm having trouble right now. Can you try again?";
     }
   } catch (err) {
@@ -0,0 +1,124 @@
+// backend/playback.js - Which reply audio the client has actually played
+//
+// Every reply chunk the server sends on a socket gets the next sequence number
+// (0, 1, 2, ... per connection). A whole-file chunk is one binary frame; a
+// streamed chunk is several parts and takes its number only when its `last`
+// part arrives, so the parts before it do not count. The client counts chunks
+// the same way and acknowledges them with audio_played { seq, complete,
+// playedMs } when a chunk finishes, or is cut off by stop_audio (playedMs says
+// how far it got).
+// Clients that do not send acks (handshake without playbackAcks) are treated
+// as having played everything that was delivered.
+const { audioDurationMs } = require("./echoGuard");
+
+// Extra wait on top of the estimated audio length before giving up on acks
+const ACK_SLACK_MS = 3000;
+// Acks older than this many frames are forgotten
+const MAX_TRACKED_FRAMES = 500;
+
+/**
+ * Playback tracking for one connection
+ */
+function createPlaybackTracker() {
+  let nextSeq = 0;
+  let acksEnabled = false;
+  // Frames played to the end; cut-off and dropped frames never get in
+  const played = new Set();
+  // Cut-off frames: share of the audio that played (0..1)
+  const partial = new Map();
+  const listeners = new Set();
+  const durations = new Map();
+
+  /**
+   * Record a frame that was just sent; returns its sequence number
+   */
+  function onChunkSent(text, audio, format) {
+    const seq = nextSeq++;
+    durations.set(seq, audioDurationMs(text, audio, format));
+    return seq;
+  }
+
+  /**
+   * Client acknowledgement; `complete` is false when the chunk was cut off after `playedMs`
+   */
+  function onPlayed(seq, complete, playedMs = 0) {
+    if (complete && seq < nextSeq) played.add(seq);
+    const duration = durations.get(seq);
+    if (!complete && playedMs > 0 && duration > 0) {
+      partial.set(seq, Math.min(1, playedMs / duration));
+    }
+    for (const old of played) {
+      if (old < nextSeq - MAX_TRACKED_FRAMES) played.delete(old);
+    }
+    for (const old of partial.keys()) {
+      if (old < nextSeq - MAX_TRACKED_FRAMES) partial.delete(old);
+    }
+    for (const seqDone of durations.keys()) {
+      if (seqDone <= seq) durations.delete(seqDone);
+    }
+    for (const listener of listeners) listener(seq, complete);
+  }
+
+  function isPlayed(seq) {
+    return !acksEnabled || played.has(seq);
+  }
+
+  // 1 for played frames, the reported share for cut-off ones, else 0
+  function playedFraction(seq) {
+    if (isPlayed(seq)) return 1;
+    return partial.get(seq) || 0;
+  }
+
+  /**
+   * Resolves once `seq` has played, the signal aborts, or the estimated playback time runs out
+   * @returns {boolean} Whether playback was confirmed
+   */
+  function waitForPlayed(seq, signal) {
+    if (isPlayed(seq)) return Promise.resolve(true);
+
+    let remainingMs = ACK_SLACK_MS;
+    for (const [pending, ms] of durations) {
+      if (pending <= seq) remainingMs += ms;
+    }
+
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        clearTimeout(timer);
+        listeners.delete(listener);
+        signal?.removeEventListener("abort", onAbort);
+        resolve(result);
+      };
+      const listener = () => {
+        if (isPlayed(seq)) finish(true);
+      };
+      const onAbort = () => finish(false);
+      const timer = setTimeout(() => finish(false), remainingMs);
+
+      listeners.add(listener);
+      signal?.addEventListener("abort", onAbort);
+    });
+  }
+
+  return {
+    onChunkSent,
+    onPlayed,
+    isPlayed,
+    playedFraction,
+    waitForPlayed,
+    // Called with (seq, complete) for every ack
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    enableAcks() {
+      acksEnabled = true;
+    },
+    get acksEnabled() {
+      return acksEnabled;
+    },
+  };
+}
+
+module.exports = {
+  createPlaybackTracker,
+};
@@ -0,0 +1,175 @@
+// backend/providers/asr/deepgram.js - Deepgram Nova-2 streaming + batch ASR
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const axios = require("axios");
+
+const DEEPGRAM_WS_URL = "wss://api.deepgram.com/v1/listen";
+const DEEPGRAM_HTTP_URL = "https://api.deepgram.com/v1/listen";
+
+// Shared by streaming and batch so both paths recognise speech the same way
+const BASE_PARAMS = {
+  model: "nova-2",
+  language: "en-IN",
+  punctuate: "true",
+  smart_format: "true",
+};
+
+const STREAM_PARAMS = {
+  encoding: "linear16",
+  sample_rate: "16000",
+  channels: "1",
+  interim_results: "true",
+  endpointing: "250",
+  vad_events: "true",
+  // UtteranceEnd after this long without words; used for end-of-turn detection
+  utterance_end_ms: "1000",
+};
+
+const KEEPALIVE_MS = 5000;
+
+function buildQuery(params) {
+  return new URLSearchParams(params).toString();
+}
+
+/**
+ * Normalise a Deepgram `Results` payload into the provider-neutral shape
+ */
+function parseResults(data) {
+  const alt = data.channel?.alternatives?.[0];
+  if (!alt) return null;
+
+  return {
+    text: alt.transcript || "",
+    isFinal: data.is_final || false,
+    speechFinal: data.speech_final || false,
+    confidence: alt.confidence || 0,
+    words: alt.words || [],
+    start: data.start || 0,
+    duration: data.duration || 0,
+  };
+}
+
+class DeepgramStream extends EventEmitter {
+  constructor(apiKey) {
+    super();
+    this.open = false;
+    this.keepAliveInterval = null;
+
+    const url = `${DEEPGRAM_WS_URL}?${buildQuery({ ...BASE_PARAMS, ...STREAM_PARAMS })}`;
+    this.ws = new WebSocket(url, {
+      headers: { Authorization: `Token ${apiKey}` },
+    });
+
+    this.ws.on("open", () => {
+      this.open = true;
+      console.log("✅ [DEEPGRAM] Connected");
+
+      this.keepAliveInterval = setInterval(() => {
+        if (this.open && this.ws.readyState === WebSocket.OPEN) {
+          try {
+            this.ws.send(JSON.stringify({ type: "KeepAlive" }));
+          } catch (err) {}
+        }
+      }, KEEPALIVE_MS);
+
+      this.emit("open");
+    });
+
+    this.ws.on("message", (msg) => {
+      if (!this.open) return;
+
+      let data;
+      try {
+        data = JSON.parse(msg.toString());
+      } catch (e) {
+        console.error(`❌ [DEEPGRAM] Bad payload: ${e.message}`);
+        return;
+      }
+
+      if (data.type === "Results") {
+        const result = parseResults(data);
+        if (result) this.emit("transcript", result);
+      } else if (data.type === "SpeechStarted") {
+        this.emit("speech_started", { timestamp: data.timestamp || 0 });
+      } else if (data.type === "UtteranceEnd") {
+        this.emit("utterance_end", { lastWordEnd: data.last_word_end || 0 });
+      }
+    });
+
+    this.ws.on("close", (code) => {
+      this.open = false;
+      if (this.keepAliveInterval) clearInterval(this.keepAliveInterval);
+      console.log(`\n❌ [DEEPGRAM] Closed: ${code}\n`);
+      this.emit("close", code);
+    });
+
+    this.ws.on("error", (e) => {
+      this.open = false;
+      console.error(`\n❌ [DEEPGRAM] ${e.message}\n`);
+      this.emit("error", e);
+    });
+  }
+
+  isOpen() {
+    return this.open;
+  }
+
+  send(audio) {
+    if (!this.open || this.ws.readyState !== WebSocket.OPEN) return;
+    this.ws.send(audio);
+  }
+
+  close() {
+    this.open = false;
+    if (this.keepAliveInterval) clearInterval(this.keepAliveInterval);
+    try {
+      this.ws.close();
+    } catch (e) {}
+  }
+}
+
+function createDeepgramProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.DEEPGRAM_API_KEY;
+
+  return {
+    name: "deepgram",
+    label: "Deepgram Nova-2",
+
+    validate() {
+      if (!apiKey) throw new Error("DEEPGRAM_API_KEY not found");
+    },
+
+    openStream() {
+      return new DeepgramStream(apiKey);
+    },
+
+    /**
+     * Transcribe a complete recording in one request
+     * @param {Buffer} buffer - Encoded audio
+     * @param {Object} opts - { mimetype }
+     * @returns {Object} { text, confidence }
+     */
+    async transcribe(buffer, opts = {}) {
+      const resp = await axios.post(
+        `${DEEPGRAM_HTTP_URL}?${buildQuery(BASE_PARAMS)}`,
+        buffer,
+        {
+          headers: {
+            Authorization: `Token ${apiKey}`,
+            "Content-Type": opts.mimetype || "audio/webm; codecs=opus",
+          },
+          timeout: 30000,
+        }
+      );
+
+      const alt = resp.data?.results?.channels?.[0]?.alternatives?.[0];
+      return {
+        text: alt?.transcript || "",
+        confidence: alt?.confidence || 0,
+        duration: resp.data?.metadata?.duration || 0,
+      };
+    },
+  };
+}
+
+module.exports = createDeepgramProvider;
@@ -0,0 +1,41 @@
+// backend/providers/asr/index.js - ASR provider registry
+//
+// Every provider exposes the same surface:
+//   validate()                 -> throws if the provider cannot run (missing key, bad fixture)
+//   openStream()               -> EventEmitter with send(audio), close(), isOpen()
+//                                 events: open, transcript, speech_started, utterance_end, error, close
+//   transcribe(buffer, opts)   -> Promise<{ text, confidence }>
+//
+// `transcript` events carry { text, isFinal, speechFinal, confidence, words, start, duration }.
+const createDeepgramProvider = require("./deepgram");
+const createReplayProvider = require("./replay");
+
+const PROVIDERS = {
+  deepgram: createDeepgramProvider,
+  replay: createReplayProvider,
+};
+
+let activeProvider = null;
+
+function createASRProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown ASR provider "${name}" (available: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Provider selected by ASR_PROVIDER (default: deepgram), created once per process
+ */
+function getASRProvider() {
+  if (!activeProvider) {
+    activeProvider = createASRProvider((process.env.ASR_PROVIDER || "deepgram").toLowerCase());
+  }
+  return activeProvider;
+}
+
+module.exports = {
+  createASRProvider,
+  getASRProvider,
+};
@@ -0,0 +1,140 @@
+// backend/providers/asr/replay.js - Scripted ASR that replays transcripts from a fixture
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURE = path.join(__dirname, "../../fixtures/asr-replay.json");
+
+/**
+ * Fixture format:
+ * {
+ *   "transcribe": "Text returned by batch transcription",
+ *   "loop": false,
+ *   "events": [
+ *     { "delay": 1200, "type": "speech_started" },
+ *     { "delay": 300, "type": "transcript", "text": "hello", "isFinal": true, "speechFinal": true, "confidence": 0.95 },
+ *     { "delay": 1000, "type": "utterance_end" }
+ *   ]
+ * }
+ * `delay` is milliseconds after the previous event (the first one counts from open).
+ */
+function loadFixture(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const fixture = JSON.parse(raw);
+  if (!Array.isArray(fixture.events)) {
+    throw new Error(`ASR fixture ${file} has no "events" array`);
+  }
+  return fixture;
+}
+
+class ReplayStream extends EventEmitter {
+  constructor(fixture) {
+    super();
+    this.fixture = fixture;
+    this.open = false;
+    this.timer = null;
+    this.position = 0;
+    this.bytesReceived = 0;
+
+    // Emit asynchronously so callers can attach listeners first, like a real socket
+    setImmediate(() => {
+      this.open = true;
+      console.log("✅ [ASR-REPLAY] Stream open");
+      this.emit("open");
+      this.scheduleNext();
+    });
+  }
+
+  scheduleNext() {
+    if (!this.open) return;
+
+    if (this.position >= this.fixture.events.length) {
+      if (!this.fixture.loop) {
+        console.log("🏁 [ASR-REPLAY] Fixture finished");
+        return;
+      }
+      this.position = 0;
+    }
+
+    const event = this.fixture.events[this.position++];
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (!this.open) return;
+      this.dispatch(event);
+      this.scheduleNext();
+    }, event.delay || 0);
+  }
+
+  dispatch(event) {
+    if (event.type === "transcript") {
+      this.emit("transcript", {
+        text: event.text || "",
+        isFinal: event.isFinal || false,
+        speechFinal: event.speechFinal || false,
+        confidence: event.confidence ?? 0.95,
+        words: event.words || [],
+        start: event.start || 0,
+        duration: event.duration || 0,
+      });
+    } else if (event.type === "speech_started") {
+      this.emit("speech_started", { timestamp: event.timestamp || 0 });
+    } else if (event.type === "utterance_end") {
+      this.emit("utterance_end", { lastWordEnd: event.lastWordEnd || 0 });
+    }
+  }
+
+  isOpen() {
+    return this.open;
+  }
+
+  send(audio) {
+    // Audio is accepted and counted but never inspected
+    this.bytesReceived += audio.length || audio.byteLength || 0;
+  }
+
+  close() {
+    if (!this.open) return;
+    this.open = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    console.log(`\n❌ [ASR-REPLAY] Closed (${(this.bytesReceived / 1024).toFixed(1)}KB audio ignored)\n`);
+    this.emit("close", 1000);
+  }
+}
+
+function createReplayProvider(options = {}) {
+  const file = options.file || process.env.ASR_REPLAY_FILE || DEFAULT_FIXTURE;
+  let fixture = null;
+
+  // Re-read on every stream so fixtures can be edited without a restart
+  const getFixture = () => {
+    fixture = loadFixture(file);
+    return fixture;
+  };
+
+  return {
+    name: "replay",
+    label: `Replay (${path.basename(file)})`,
+
+    validate() {
+      getFixture();
+    },
+
+    openStream() {
+      return new ReplayStream(getFixture());
+    },
+
+    async transcribe() {
+      const current = getFixture();
+      const text =
+        current.transcribe ||
+        current.events
+          .filter((e) => e.type === "transcript" && e.isFinal)
+          .map((e) => e.text)
+          .join(" ");
+      return { text, confidence: 1, duration: 0 };
+    },
+  };
+}
+
+module.exports = createReplayProvider;
@@ -0,0 +1,81 @@
+// backend/providers/llm/gemini.js - Google Gemini chat provider
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+function abortError() {
+  const err = new Error("Aborted");
+  err.name = "AbortError";
+  return err;
+}
+
+// Gemini has no system role here; the system prompt rides on the first user turn
+function toContents(system, messages) {
+  return messages.map((m, i) => {
+    const text = i === 0 && system ? system + "\n\n" + m.content : m.content;
+    return { role: m.role === "assistant" ? "model" : "user", parts: [{ text }] };
+  });
+}
+
+function createGeminiProvider(options = {}) {
+  const apiKey = options.apiKey || process.env[options.apiKeyEnv || "GEMINI_API_KEY"];
+  let genAI = null;
+  const models = new Map();
+
+  function getModel(req) {
+    const params = { model: req.model, temperature: req.temperature, topP: req.topP, maxTokens: req.maxTokens };
+    const key = JSON.stringify(params);
+    if (!models.has(key)) {
+      if (!genAI) genAI = new GoogleGenerativeAI(apiKey);
+      models.set(key, genAI.getGenerativeModel({
+        model: params.model,
+        generationConfig: {
+          temperature: params.temperature,
+          topP: params.topP,
+          maxOutputTokens: params.maxTokens,
+          candidateCount: 1
+        }
+      }));
+    }
+    return models.get(key);
+  }
+
+  return {
+    type: "gemini",
+
+    validate() {
+      if (!apiKey) throw new Error(`${options.apiKeyEnv || "GEMINI_API_KEY"} not found`);
+    },
+
+    /**
+     * @param {Object} req - { model, system, messages, temperature, topP, maxTokens, signal }
+     * @returns {string} Completion text
+     */
+    async complete(req) {
+      if (req.signal?.aborted) throw abortError();
+
+      const model = getModel(req);
+      const result = await model.generateContent({ contents: toContents(req.system, req.messages) });
+
+      // The SDK cannot cancel the request itself, so drop the result instead
+      if (req.signal?.aborted) throw abortError();
+      return result.response.text().trim();
+    },
+
+    /**
+     * Same request as complete(), yielding text deltas as they arrive
+     */
+    async *stream(req) {
+      if (req.signal?.aborted) throw abortError();
+
+      const model = getModel(req);
+      const result = await model.generateContentStream({ contents: toContents(req.system, req.messages) });
+
+      for await (const chunk of result.stream) {
+        if (req.signal?.aborted) throw abortError();
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,55 @@
+// backend/providers/llm/groq.js - Groq chat completions provider
+const Groq = require("groq-sdk");
+
+function createGroqProvider(options = {}) {
+  const apiKey = options.apiKey || process.env[options.apiKeyEnv || "GROQ_API_KEY"];
+  let client = null;
+
+  // Created lazily: the SDK throws at construction when the key is missing
+  function getClient() {
+    if (!client) client = new Groq({ apiKey });
+    return client;
+  }
+
+  function body(req, stream) {
+    return {
+      model: req.model,
+      messages: [{ role: "system", content: req.system }, ...req.messages],
+      max_tokens: req.maxTokens,
+      temperature: req.temperature,
+      top_p: req.topP,
+      stream
+    };
+  }
+
+  return {
+    type: "groq",
+
+    validate() {
+      if (!apiKey) throw new Error(`${options.apiKeyEnv || "GROQ_API_KEY"} not found`);
+    },
+
+    async complete(req) {
+      const response = await getClient().chat.completions.create(
+        body(req, false),
+        { signal: req.signal || undefined }
+      );
+
+      return (response.choices[0]?.message?.content || "").trim();
+    },
+
+    async *stream(req) {
+      const stream = await getClient().chat.completions.create(
+        body(req, true),
+        { signal: req.signal || undefined }
+      );
+
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+module.exports = createGroqProvider;
@@ -0,0 +1,259 @@
+// backend/providers/llm/index.js - LLM provider registry with logical model tiers
+//
+// Callers ask for a tier ("fast", "smart", "document") instead of a model.
+// The tier decides provider, model and sampling settings, and names the tier
+// to try next when it fails. Configuration comes from, in order of precedence:
+//   1. Env shortcuts:  LLM_FAST=local:llama3.1:8b  (provider:model, any tier name)
+//   2. JSON file:      LLM_CONFIG=./llm.config.json (see backend/config/llm.example.json)
+//   3. DEFAULT_CONFIG below
+const fs = require("fs");
+const path = require("path");
+const createGeminiProvider = require("./gemini");
+const createGroqProvider = require("./groq");
+const createOpenAICompatibleProvider = require("./openaiCompatible");
+
+const PROVIDER_TYPES = {
+  gemini: createGeminiProvider,
+  groq: createGroqProvider,
+  openai: createOpenAICompatibleProvider,
+};
+
+const DEFAULT_CONFIG = {
+  providers: {
+    gemini: { type: "gemini", apiKeyEnv: "GEMINI_API_KEY" },
+    groq: { type: "groq", apiKeyEnv: "GROQ_API_KEY" },
+    local: {
+      type: "openai",
+      baseURL: process.env.LLM_LOCAL_BASE_URL || "http://localhost:11434/v1",
+      apiKeyEnv: "LLM_LOCAL_API_KEY"
+    }
+  },
+  tiers: {
+    fast: { provider: "gemini", model: "gemini-1.5-flash-latest", temperature: 0.7, topP: 0.85, maxTokens: 250, fallback: "fallback" },
+    smart: { provider: "gemini", model: "gemini-1.5-pro-latest", temperature: 0.7, topP: 0.9, maxTokens: 350, fallback: "fallback" },
+    document: { provider: "gemini", model: "gemini-1.5-pro-latest", temperature: 0.7, topP: 0.9, maxTokens: 350, fallback: "fallback" },
+    fallback: { provider: "groq", model: "llama-3.3-70b-versatile", temperature: 0.75, topP: 0.9, maxTokens: 300 }
+  }
+};
+
+let registry = null;
+
+function abortError() {
+  const err = new Error("Aborted");
+  err.name = "AbortError";
+  return err;
+}
+
+function readConfigFile() {
+  const file = process.env.LLM_CONFIG;
+  if (!file) return {};
+
+  const resolved = path.resolve(file);
+  console.log(`⚙️ [LLM] Loading config: ${resolved}`);
+  return JSON.parse(fs.readFileSync(resolved, "utf8"));
+}
+
+function applyEnvShortcuts(tiers) {
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^LLM_TIER_([A-Z0-9_]+)$/) || key.match(/^LLM_(FAST|SMART|DOCUMENT|FALLBACK)$/);
+    if (!match || !value) continue;
+
+    const tier = match[1].toLowerCase();
+    const sep = value.indexOf(":");
+    if (sep === -1) {
+      throw new Error(`${key} must look like provider:model (got "${value}")`);
+    }
+
+    tiers[tier] = {
+      ...(tiers[tier] || {}),
+      provider: value.substring(0, sep),
+      model: value.substring(sep + 1)
+    };
+  }
+}
+
+function loadConfig() {
+  const fileConfig = readConfigFile();
+  const providers = { ...DEFAULT_CONFIG.providers, ...(fileConfig.providers || {}) };
+  const tiers = {};
+
+  for (const [name, tier] of Object.entries({ ...DEFAULT_CONFIG.tiers, ...(fileConfig.tiers || {}) })) {
+    tiers[name] = { ...(DEFAULT_CONFIG.tiers[name] || {}), ...tier };
+  }
+  applyEnvShortcuts(tiers);
+
+  for (const [name, tier] of Object.entries(tiers)) {
+    if (!providers[tier.provider]) {
+      throw new Error(`LLM tier "${name}" uses unknown provider "${tier.provider}"`);
+    }
+    if (tier.fallback && !tiers[tier.fallback]) {
+      throw new Error(`LLM tier "${name}" falls back to unknown tier "${tier.fallback}"`);
+    }
+  }
+
+  return { providers, tiers };
+}
+
+function buildRegistry() {
+  const config = loadConfig();
+  const providers = {};
+
+  for (const [name, options] of Object.entries(config.providers)) {
+    const factory = PROVIDER_TYPES[options.type];
+    if (!factory) {
+      throw new Error(`LLM provider "${name}" has unknown type "${options.type}"`);
+    }
+    providers[name] = factory(options);
+  }
+
+  return { config, providers };
+}
+
+function getRegistry() {
+  if (!registry) registry = buildRegistry();
+  return registry;
+}
+
+function getTier(name) {
+  const tier = getRegistry().config.tiers[name];
+  if (!tier) throw new Error(`Unknown LLM tier "${name}"`);
+  return tier;
+}
+
+/**
+ * Run a chat completion on a tier, walking its fallback chain on failure
+ * @param {string} tierName - "fast", "smart", "document", ...
+ * @param {Object} req - { system, messages: [{ role, content }], signal, overrides }
+ * @returns {Object} { text, tier, provider, model }
+ */
+async function complete(tierName, req) {
+  const { providers } = getRegistry();
+  const tried = new Set();
+  let current = tierName;
+  let lastError = null;
+
+  while (current && !tried.has(current)) {
+    tried.add(current);
+    const tier = getTier(current);
+    const provider = providers[tier.provider];
+    const startTime = Date.now();
+
+    console.log(`🚀 [AI] ${current} → ${tier.provider}/${tier.model}`);
+
+    try {
+      const text = await provider.complete({
+        model: tier.model,
+        temperature: tier.temperature,
+        topP: tier.topP,
+        maxTokens: tier.maxTokens,
+        ...(req.overrides || {}),
+        system: req.system || "",
+        messages: req.messages,
+        signal: req.signal
+      });
+
+      console.log(`✅ [AI] ${current}: ${Date.now() - startTime}ms`);
+      return { text, tier: current, provider: tier.provider, model: tier.model };
+
+    } catch (error) {
+      if (req.signal?.aborted || error.name === "AbortError") throw abortError();
+
+      console.error(`❌ [AI] ${current} failed: ${error.message}`);
+      lastError = error;
+      current = tier.fallback;
+    }
+  }
+
+  throw lastError || new Error(`LLM tier "${tierName}" has no usable provider`);
+}
+
+/**
+ * Streaming variant of complete(). Yields text deltas; falls back to the next
+ * tier only while nothing has been yielded, since spoken output cannot be taken back
+ * @param {string} tierName - "fast", "smart", "document", ...
+ * @param {Object} req - same as complete(), plus optional onRoute({ tier, provider, model })
+ */
+async function* stream(tierName, req) {
+  const { providers } = getRegistry();
+  const tried = new Set();
+  let current = tierName;
+  let lastError = null;
+
+  while (current && !tried.has(current)) {
+    tried.add(current);
+    const tier = getTier(current);
+    const provider = providers[tier.provider];
+    const startTime = Date.now();
+    let yielded = false;
+
+    console.log(`🚀 [AI] ${current} → ${tier.provider}/${tier.model} (streaming)`);
+
+    try {
+      const params = {
+        model: tier.model,
+        temperature: tier.temperature,
+        topP: tier.topP,
+        maxTokens: tier.maxTokens,
+        ...(req.overrides || {}),
+        system: req.system || "",
+        messages: req.messages,
+        signal: req.signal
+      };
+
+      req.onRoute?.({ tier: current, provider: tier.provider, model: tier.model });
+
+      for await (const delta of provider.stream(params)) {
+        if (!yielded) console.log(`⚡ [AI] ${current}: first token ${Date.now() - startTime}ms`);
+        yielded = true;
+        yield delta;
+      }
+
+      console.log(`✅ [AI] ${current}: ${Date.now() - startTime}ms`);
+      return;
+
+    } catch (error) {
+      if (req.signal?.aborted || error.name === "AbortError") throw abortError();
+      if (yielded) throw error;
+
+      console.error(`❌ [AI] ${current} failed: ${error.message}`);
+      lastError = error;
+      current = tier.fallback;
+    }
+  }
+
+  throw lastError || new Error(`LLM tier "${tierName}" has no usable provider`);
+}
+
+/**
+ * One line per tier for startup logs
+ */
+function describeTiers() {
+  return Object.entries(getRegistry().config.tiers)
+    .map(([name, tier]) => `${name}: ${tier.provider}/${tier.model}`);
+}
+
+/**
+ * Warn about providers referenced by tiers that are missing credentials
+ */
+function validate() {
+  const { config, providers } = getRegistry();
+  const problems = [];
+  const used = new Set(Object.values(config.tiers).map(t => t.provider));
+
+  for (const name of used) {
+    try {
+      providers[name].validate();
+    } catch (err) {
+      problems.push(`${name}: ${err.message}`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  complete,
+  stream,
+  describeTiers,
+  validate,
+  getTier,
+};
@@ -0,0 +1,72 @@
+// backend/providers/llm/openaiCompatible.js - Any OpenAI-style /chat/completions endpoint
+// (llama.cpp server, Ollama, vLLM, LM Studio, OpenAI itself)
+const axios = require("axios");
+
+function createOpenAICompatibleProvider(options = {}) {
+  const baseURL = (options.baseURL || "http://localhost:11434/v1").replace(/\/+$/, "");
+  const apiKey = options.apiKey || (options.apiKeyEnv ? process.env[options.apiKeyEnv] : "");
+  const timeout = options.timeout || 60000;
+
+  function headers() {
+    const h = { "Content-Type": "application/json" };
+    if (apiKey) h.Authorization = `Bearer ${apiKey}`;
+    return h;
+  }
+
+  function body(req, stream) {
+    return {
+      model: req.model,
+      messages: [{ role: "system", content: req.system }, ...req.messages],
+      max_tokens: req.maxTokens,
+      temperature: req.temperature,
+      top_p: req.topP,
+      stream
+    };
+  }
+
+  return {
+    type: "openai",
+
+    // Local servers usually need no key, so there is nothing to check up front
+    validate() {},
+
+    async complete(req) {
+      const resp = await axios.post(
+        `${baseURL}/chat/completions`,
+        body(req, false),
+        { headers: headers(), timeout, signal: req.signal || undefined }
+      );
+
+      return (resp.data?.choices?.[0]?.message?.content || "").trim();
+    },
+
+    // Server-sent events: one `data: {json}` line per delta, ended by `data: [DONE]`
+    async *stream(req) {
+      const resp = await axios.post(
+        `${baseURL}/chat/completions`,
+        body(req, true),
+        { headers: headers(), timeout, signal: req.signal || undefined, responseType: "stream" }
+      );
+
+      let pending = "";
+      for await (const data of resp.data) {
+        pending += data.toString();
+        const lines = pending.split("\n");
+        pending = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith("data:")) continue;
+
+          const payload = trimmed.substring(5).trim();
+          if (payload === "[DONE]") return;
+
+          const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+  };
+}
+
+module.exports = createOpenAICompatibleProvider;
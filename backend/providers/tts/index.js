@@ -0,0 +1,69 @@
+// backend/providers/tts/index.js - TTS provider registry
+//
+// Every provider exposes the same surface:
+//   validate()               -> throws if the provider cannot run (missing key)
+//   listVoices()             -> [{ id, name, language, gender }]
+//   synthesize(text, opts)   -> Promise<{ audio: Buffer, format: { container, mimeType, sampleRate, channels } }>
+//                               opts: { voiceId, signal }
+//   streamEncodings          -> encodings synthesizeStream can produce ("pcm", "opus"); optional
+//   synthesizeStream(text, opts) -> async iterable of { audio: Buffer, format, durationMs } parts
+//                               as they are synthesized; opts: { voiceId, signal, encoding }
+//   cacheKey(voiceId)        -> string naming the voice settings behind voiceId; optional,
+//                               the TTS cache keys on it (falls back to voiceId)
+//   cancel()                 -> aborts every request the provider has in flight
+const axios = require("axios");
+const createMurfProvider = require("./murf");
+const createLocalProvider = require("./local");
+
+const PROVIDERS = {
+  murf: createMurfProvider,
+  local: createLocalProvider,
+};
+
+const instances = new Map();
+
+function createTTSProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown TTS provider "${name}" (available: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Shared provider instance; defaults to TTS_PROVIDER (murf if unset)
+ */
+function getTTSProvider(name) {
+  const key = (name || process.env.TTS_PROVIDER || "murf").toLowerCase();
+  if (!instances.has(key)) {
+    instances.set(key, createTTSProvider(key));
+  }
+  return instances.get(key);
+}
+
+/**
+ * Streamed encoding to use for a client asking for `requested`; PCM stands in for
+ * Opus when the provider cannot stream Opus, null when it cannot stream at all
+ */
+function pickStreamEncoding(provider, requested) {
+  const encodings = provider.synthesizeStream ? provider.streamEncodings || [] : [];
+  if (!requested) return null;
+  if (encodings.includes(requested)) return requested;
+  return encodings.includes("pcm") ? "pcm" : null;
+}
+
+function isAbortError(err) {
+  return !!err && (
+    err.name === "AbortError" ||
+    err.name === "CanceledError" ||
+    err.message === "canceled" ||
+    axios.isCancel(err)
+  );
+}
+
+module.exports = {
+  createTTSProvider,
+  getTTSProvider,
+  pickStreamEncoding,
+  isAbortError,
+};
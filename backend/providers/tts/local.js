@@ -0,0 +1,167 @@
+// backend/providers/tts/local.js - Offline TTS: local speech engine binary or generated tones
+const { spawn } = require("child_process");
+const { encodeWav, decodeWav } = require("./wav");
+
+const SAMPLE_RATE = 24000;
+const AMPLITUDE = 0.18;
+// Streamed output is cut into parts of this length, like network packets
+const STREAM_PART_MS = 100;
+
+const TONE_VOICES = [
+  { id: 'local-low', name: 'Low tone', language: 'en', gender: 'neutral', pitch: 140 },
+  { id: 'local-mid', name: 'Mid tone', language: 'en', gender: 'neutral', pitch: 200 },
+  { id: 'local-high', name: 'High tone', language: 'en', gender: 'neutral', pitch: 260 }
+];
+
+function abortError() {
+  const err = new Error("canceled");
+  err.name = "AbortError";
+  return err;
+}
+
+// Any voice id (including Murf ones stored in old sessions) maps to a stable pitch
+function pitchForVoice(voiceId = "") {
+  const known = TONE_VOICES.find(v => v.id === voiceId);
+  if (known) return known.pitch;
+
+  let hash = 0;
+  for (const ch of voiceId) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return TONE_VOICES[hash % TONE_VOICES.length].pitch;
+}
+
+/**
+ * One short beep per word with pauses at punctuation, so chunk length and
+ * pacing roughly follow the text without any speech engine installed
+ */
+function generateToneSpeech(text, pitch) {
+  const segments = [];
+  const words = text.split(/\s+/).filter(Boolean);
+
+  for (const word of words) {
+    const letters = word.replace(/[^a-z0-9]/gi, "").length || 1;
+    segments.push({ freq: pitch * (0.9 + (letters % 5) * 0.05), ms: Math.min(450, Math.max(120, letters * 55)) });
+    segments.push({ freq: 0, ms: /[.!?]$/.test(word) ? 320 : /[,;:]$/.test(word) ? 180 : 60 });
+  }
+
+  const totalSamples = segments.reduce((n, s) => n + Math.round(SAMPLE_RATE * s.ms / 1000), 0);
+  const pcm = Buffer.alloc(totalSamples * 2);
+  const fade = Math.round(SAMPLE_RATE * 0.01);
+  let offset = 0;
+
+  for (const seg of segments) {
+    const count = Math.round(SAMPLE_RATE * seg.ms / 1000);
+    for (let i = 0; i < count; i++) {
+      let sample = 0;
+      if (seg.freq > 0) {
+        const envelope = Math.min(1, i / fade, (count - i) / fade);
+        sample = Math.sin(2 * Math.PI * seg.freq * i / SAMPLE_RATE) * AMPLITUDE * envelope;
+      }
+      pcm.writeInt16LE(Math.round(sample * 0x7FFF), offset);
+      offset += 2;
+    }
+  }
+
+  return encodeWav(pcm, SAMPLE_RATE, 1);
+}
+
+/**
+ * Run the configured engine with the text on stdin and a WAV file on stdout,
+ * e.g. LOCAL_TTS_COMMAND="espeak-ng --stdin --stdout -v {voice}"
+ */
+function runCommand(command, text, voiceId, signal, children) {
+  return new Promise((resolve, reject) => {
+    const [bin, ...args] = command.trim().split(/\s+/);
+    const child = spawn(bin, args.map(a => a.replace("{voice}", voiceId)), { stdio: ["pipe", "pipe", "pipe"] });
+    const output = [];
+    let stderr = "";
+
+    const onAbort = () => child.kill("SIGKILL");
+    signal?.addEventListener("abort", onAbort);
+    children.add(child);
+
+    child.stdout.on("data", (d) => output.push(d));
+    child.stderr.on("data", (d) => { stderr += d.toString(); });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      children.delete(child);
+      signal?.removeEventListener("abort", onAbort);
+
+      if (signal?.aborted) return reject(abortError());
+      if (code !== 0) return reject(new Error(`${bin} exited with ${code}: ${stderr.trim().substring(0, 200)}`));
+      resolve(Buffer.concat(output));
+    });
+
+    // An engine that exits before reading its input (wrong binary or flags) breaks the pipe
+    child.stdin.on("error", (err) => reject(new Error(`${bin} did not read its input: ${err.message}`)));
+    child.stdin.end(text);
+  });
+}
+
+function createLocalProvider(options = {}) {
+  const command = options.command || process.env.LOCAL_TTS_COMMAND || "";
+  const children = new Set();
+
+  return {
+    name: "local",
+    label: command ? `Local (${command.split(/\s+/)[0]})` : "Local tone generator",
+    defaultVoice: "local-mid",
+
+    validate() {},
+
+    cacheKey(voiceId) {
+      return command ? `${command}|${voiceId || "default"}` : `tones|${pitchForVoice(voiceId)}`;
+    },
+
+    listVoices() {
+      if (command) return [{ id: "default", name: "Local engine default", language: "en", gender: "neutral" }];
+      return TONE_VOICES.map(({ id, name, language, gender }) => ({ id, name, language, gender }));
+    },
+
+    async synthesize(text, opts = {}) {
+      if (opts.signal?.aborted) throw abortError();
+
+      const startTime = Date.now();
+      let audio;
+
+      if (command) {
+        audio = await runCommand(command, text, opts.voiceId || "default", opts.signal, children);
+      } else {
+        audio = generateToneSpeech(text, pitchForVoice(opts.voiceId));
+      }
+
+      const { sampleRate, channels } = decodeWav(audio);
+      console.log(`✅ [LOCAL-TTS] Generated ${(audio.byteLength / 1024).toFixed(1)}KB in ${Date.now() - startTime}ms`);
+
+      return {
+        audio,
+        format: { container: "wav", mimeType: "audio/wav", sampleRate, channels }
+      };
+    },
+
+    streamEncodings: ["pcm"],
+
+    /**
+     * Streamed output for testing the streaming path: the finished audio in short PCM parts
+     * @yields {Object} { audio: Buffer, format, durationMs }
+     */
+    async *synthesizeStream(text, opts = {}) {
+      const { audio } = await this.synthesize(text, opts);
+      const { pcm, sampleRate, channels } = decodeWav(audio);
+      const format = { container: "pcm", encoding: "s16le", sampleRate, channels };
+      const partBytes = Math.round(sampleRate * STREAM_PART_MS / 1000) * channels * 2;
+
+      for (let offset = 0; offset < pcm.length; offset += partBytes) {
+        if (opts.signal?.aborted) throw abortError();
+        const part = pcm.subarray(offset, offset + partBytes);
+        yield { audio: part, format, durationMs: part.length / (sampleRate * channels * 2) * 1000 };
+      }
+    },
+
+    cancel() {
+      for (const child of children) child.kill("SIGKILL");
+      children.clear();
+    },
+  };
+}
+
+module.exports = createLocalProvider;
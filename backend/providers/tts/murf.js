@@ -0,0 +1,231 @@
+// backend/providers/tts/murf.js - Murf Falcon TTS provider
+const axios = require("axios");
+const { decodeWav } = require("./wav");
+const { createOpusDemuxer, packOpusPackets, opusPacketSamples, OPUS_SAMPLE_RATE } = require("./ogg");
+
+const MURF_STREAM_URL = "https://global.api.murf.ai/v1/speech/stream";
+
+const VOICE_CONFIGS = {
+  'en-US-terrell': { id: 'en-US-terrell', name: 'Terrell', language: 'en-US', gender: 'male', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
+  'en-US-michael': { id: 'en-US-michael', name: 'Michael', language: 'en-US', gender: 'male', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
+  'en-US-wayne': { id: 'en-US-wayne', name: 'Wayne', language: 'en-US', gender: 'male', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
+  'en-US-ryan': { id: 'en-US-ryan', name: 'Ryan', language: 'en-US', gender: 'male', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
+  'en-US-natalie': { id: 'en-US-natalie', name: 'Natalie', language: 'en-US', gender: 'female', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
+  'en-US-lily': { id: 'en-US-lily', name: 'Lily', language: 'en-US', gender: 'female', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
+  'en-US-claire': { id: 'en-US-claire', name: 'Claire', language: 'en-US', gender: 'female', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
+  'en-GB-william': { id: 'en-GB-william', name: 'William', language: 'en-GB', gender: 'male', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
+  'en-GB-emma': { id: 'en-GB-emma', name: 'Emma', language: 'en-GB', gender: 'female', style: 'Conversational', speed: 0, pitch: 0, variation: 1 }
+};
+
+const DEFAULT_VOICE = 'en-US-terrell';
+const SAMPLE_RATE = 24000;
+
+function buildPayload(config, text, format) {
+  return {
+    voice_id: config.id,
+    style: config.style,
+    text: text,
+    model: "FALCON",
+    format,
+    sampleRate: SAMPLE_RATE,
+    channelType: "MONO",
+    speed: config.speed,
+    pitch: config.pitch,
+    variation: config.variation,
+    pauseSettings: {
+      sentencePause: 420,  // Slightly longer pauses for natural flow
+      commaPause: 220
+    }
+  };
+}
+
+function abortError() {
+  const err = new Error("canceled");
+  err.name = "AbortError";
+  return err;
+}
+
+function createMurfProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.MURF_API_KEY;
+  const inFlight = new Set();
+
+  return {
+    name: "murf",
+    label: "Murf AI Falcon",
+    defaultVoice: DEFAULT_VOICE,
+
+    validate() {
+      if (!apiKey) throw new Error("MURF_API_KEY not found");
+    },
+
+    // Every request setting except the text, so a config change misses the TTS cache
+    cacheKey(voiceId) {
+      const config = VOICE_CONFIGS[voiceId] || VOICE_CONFIGS[DEFAULT_VOICE];
+      return JSON.stringify(buildPayload(config, "", ""));
+    },
+
+    listVoices() {
+      return Object.values(VOICE_CONFIGS).map(({ id, name, language, gender }) => ({ id, name, language, gender }));
+    },
+
+    /**
+     * Synthesize one chunk of text
+     * @param {string} text - Sanitized chunk text
+     * @param {Object} opts - { voiceId, signal }
+     * @returns {Object} { audio: Buffer, format: { container, mimeType, sampleRate, channels } }
+     */
+    async synthesize(text, opts = {}) {
+      const config = VOICE_CONFIGS[opts.voiceId] || VOICE_CONFIGS[DEFAULT_VOICE];
+
+      if (opts.signal?.aborted) throw abortError();
+
+      console.log(`🎙️ [MURF-API] Voice: ${config.id} | ${text.length} chars`);
+
+      const payload = buildPayload(config, text, "MP3");
+
+      // Own controller so cancel() can abort everything this provider started
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      opts.signal?.addEventListener("abort", onAbort);
+      inFlight.add(controller);
+
+      const startTime = Date.now();
+
+      try {
+        const resp = await axios.post(MURF_STREAM_URL, payload, {
+          headers: {
+            "api-key": apiKey,
+            "Content-Type": "application/json"
+          },
+          responseType: "arraybuffer",
+          timeout: 30000, // Increased timeout for longer chunks
+          signal: controller.signal
+        });
+
+        const elapsed = Date.now() - startTime;
+        const audio = Buffer.from(resp.data);
+        console.log(`✅ [MURF-API] Generated ${(audio.byteLength / 1024).toFixed(1)}KB in ${elapsed}ms`);
+
+        return {
+          audio,
+          format: { container: "mp3", mimeType: "audio/mpeg", sampleRate: SAMPLE_RATE, channels: 1 }
+        };
+
+      } catch (error) {
+        const elapsed = Date.now() - startTime;
+
+        if (axios.isCancel(error)) {
+          console.log(`⛔ [MURF-API] Canceled after ${elapsed}ms`);
+        } else {
+          console.error(`❌ [MURF-ERROR] ${error.message} (${elapsed}ms)`);
+        }
+        throw error;
+      } finally {
+        inFlight.delete(controller);
+        opts.signal?.removeEventListener("abort", onAbort);
+      }
+    },
+
+    streamEncodings: ["pcm", "opus"],
+
+    /**
+     * Synthesize one chunk and yield the audio while Murf is still sending it
+     * @param {Object} opts - { voiceId, signal, encoding: "pcm" | "opus" }
+     * @yields {Object} { audio: Buffer, format, durationMs }; PCM is 16-bit little-endian,
+     *                  Opus comes as length-prefixed packets (packOpusPackets)
+     */
+    async *synthesizeStream(text, opts = {}) {
+      const config = VOICE_CONFIGS[opts.voiceId] || VOICE_CONFIGS[DEFAULT_VOICE];
+      const opus = opts.encoding === "opus";
+
+      if (opts.signal?.aborted) throw abortError();
+
+      console.log(`🎙️ [MURF-API] Voice: ${config.id} | ${text.length} chars | streaming ${opus ? "opus" : "pcm"}`);
+
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      opts.signal?.addEventListener("abort", onAbort);
+      inFlight.add(controller);
+
+      const startTime = Date.now();
+      let firstByteAt = null;
+      let bytes = 0;
+
+      try {
+        const resp = await axios.post(MURF_STREAM_URL, buildPayload(config, text, opus ? "OGG" : "PCM"), {
+          headers: {
+            "api-key": apiKey,
+            "Content-Type": "application/json"
+          },
+          responseType: "stream",
+          timeout: 30000,
+          signal: controller.signal
+        });
+
+        const demuxer = opus ? createOpusDemuxer() : null;
+        let carry = Buffer.alloc(0);   // Odd trailing byte of a PCM sample
+        let skipWavHeader = !opus;
+
+        for await (const data of resp.data) {
+          if (!firstByteAt) firstByteAt = Date.now();
+          bytes += data.length;
+
+          if (opus) {
+            const packets = demuxer.push(data);
+            if (!packets.length) continue;
+            const samples = packets.reduce((n, p) => n + opusPacketSamples(p), 0);
+            yield {
+              audio: packOpusPackets(packets),
+              format: { container: "opus", sampleRate: OPUS_SAMPLE_RATE, channels: demuxer.head.channels, preSkip: demuxer.head.preSkip },
+              durationMs: samples / OPUS_SAMPLE_RATE * 1000,
+            };
+            continue;
+          }
+
+          let pcm = carry.length ? Buffer.concat([carry, data]) : data;
+          // Some responses wrap the samples in a WAV header with an open length
+          if (skipWavHeader && pcm.length >= 44) {
+            skipWavHeader = false;
+            if (pcm.toString("ascii", 0, 4) === "RIFF") pcm = decodeWav(pcm).pcm;
+          } else if (skipWavHeader) {
+            carry = pcm;
+            continue;
+          }
+          const usable = pcm.length - (pcm.length % 2);
+          carry = pcm.subarray(usable);
+          if (!usable) continue;
+          yield {
+            audio: pcm.subarray(0, usable),
+            format: { container: "pcm", encoding: "s16le", sampleRate: SAMPLE_RATE, channels: 1 },
+            durationMs: usable / (SAMPLE_RATE * 2) * 1000,
+          };
+        }
+
+        console.log(`✅ [MURF-API] Streamed ${(bytes / 1024).toFixed(1)}KB, first bytes after ${firstByteAt ? firstByteAt - startTime : "-"}ms, done in ${Date.now() - startTime}ms`);
+
+      } catch (error) {
+        const elapsed = Date.now() - startTime;
+
+        if (axios.isCancel(error) || controller.signal.aborted) {
+          console.log(`⛔ [MURF-API] Stream canceled after ${elapsed}ms`);
+          throw abortError();
+        }
+        console.error(`❌ [MURF-ERROR] ${error.message} (${elapsed}ms)`);
+        throw error;
+      } finally {
+        // Also runs when the consumer stops early; ends the download
+        controller.abort();
+        inFlight.delete(controller);
+        opts.signal?.removeEventListener("abort", onAbort);
+      }
+    },
+
+    cancel() {
+      for (const controller of inFlight) controller.abort();
+      inFlight.clear();
+    },
+  };
+}
+
+module.exports = createMurfProvider;
+module.exports.VOICE_CONFIGS = VOICE_CONFIGS;
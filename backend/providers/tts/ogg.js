@@ -0,0 +1,109 @@
+// backend/providers/tts/ogg.js - Incremental Ogg demuxer for streamed Opus speech
+//
+// Murf's OGG output is Opus in an Ogg container. The client decodes bare Opus
+// packets (WebCodecs), so pages are taken apart here as bytes arrive.
+
+const OPUS_SAMPLE_RATE = 48000;
+
+// Frame length in 48 kHz samples for each TOC config (RFC 6716, section 3.1)
+function opusFrameSamples(config) {
+  if (config < 12) return [480, 960, 1920, 2880][config % 4];  // SILK
+  if (config < 16) return [480, 960][config % 2];              // hybrid
+  return [120, 240, 480, 960][config % 4];                     // CELT
+}
+
+/**
+ * Number of 48 kHz samples one Opus packet decodes to
+ */
+function opusPacketSamples(packet) {
+  if (!packet.length) return 0;
+  const toc = packet[0];
+  const frameSamples = opusFrameSamples(toc >> 3);
+  const code = toc & 0x03;
+  if (code === 0) return frameSamples;
+  if (code !== 3) return frameSamples * 2;
+  return packet.length > 1 ? frameSamples * (packet[1] & 0x3f) : 0;
+}
+
+/**
+ * Feed Ogg bytes in any slices; complete Opus audio packets come out in order.
+ * `head` is filled from the OpusHead packet: { channels, preSkip }.
+ */
+function createOpusDemuxer() {
+  let pending = Buffer.alloc(0);
+  let partial = [];          // Segments of a packet continued on the next page
+  let headerPackets = 0;
+  const head = { channels: 1, preSkip: 0 };
+
+  function onPacket(packet, out) {
+    if (headerPackets === 0) {
+      if (packet.toString("ascii", 0, 8) !== "OpusHead") throw new Error("Ogg stream is not Opus");
+      head.channels = packet[9];
+      head.preSkip = packet.readUInt16LE(10);
+      headerPackets++;
+      return;
+    }
+    if (headerPackets === 1) {
+      headerPackets++;       // OpusTags
+      return;
+    }
+    out.push(packet);
+  }
+
+  /**
+   * @param {Buffer} data - Next bytes of the Ogg stream
+   * @returns {Buffer[]} Opus packets completed by these bytes
+   */
+  function push(data) {
+    pending = pending.length ? Buffer.concat([pending, data]) : data;
+    const packets = [];
+
+    while (pending.length >= 27) {
+      if (pending.toString("ascii", 0, 4) !== "OggS") throw new Error("Lost Ogg page sync");
+      const segments = pending[26];
+      if (pending.length < 27 + segments) break;
+
+      const table = pending.subarray(27, 27 + segments);
+      const bodySize = table.reduce((n, s) => n + s, 0);
+      const pageSize = 27 + segments + bodySize;
+      if (pending.length < pageSize) break;
+
+      let offset = 27 + segments;
+      for (const size of table) {
+        partial.push(pending.subarray(offset, offset + size));
+        offset += size;
+        // A segment shorter than 255 bytes ends the packet
+        if (size < 255) {
+          onPacket(Buffer.concat(partial), packets);
+          partial = [];
+        }
+      }
+      pending = pending.subarray(pageSize);
+    }
+
+    return packets;
+  }
+
+  return { push, head };
+}
+
+/**
+ * Several Opus packets in one buffer, each after a 2-byte big-endian length
+ */
+function packOpusPackets(packets) {
+  const out = Buffer.alloc(packets.reduce((n, p) => n + 2 + p.length, 0));
+  let offset = 0;
+  for (const packet of packets) {
+    out.writeUInt16BE(packet.length, offset);
+    packet.copy(out, offset + 2);
+    offset += 2 + packet.length;
+  }
+  return out;
+}
+
+module.exports = {
+  createOpusDemuxer,
+  packOpusPackets,
+  opusPacketSamples,
+  OPUS_SAMPLE_RATE,
+};
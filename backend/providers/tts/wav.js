@@ -0,0 +1,62 @@
+// backend/providers/tts/wav.js - Minimal PCM WAV helpers for offline TTS
+const HEADER_SIZE = 44;
+
+/**
+ * Wrap 16-bit little-endian PCM samples in a WAV container
+ */
+function encodeWav(pcm, sampleRate, channels = 1) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  const byteRate = sampleRate * channels * 2;
+
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16);          // fmt chunk size
+  header.writeUInt16LE(1, 20);           // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(channels * 2, 32); // block align
+  header.writeUInt16LE(16, 34);          // bits per sample
+  header.write("data", 36);
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Locate the `data` chunk of a WAV file and return its PCM payload and format
+ */
+function decodeWav(buffer) {
+  if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Not a WAV file");
+  }
+
+  let offset = 12;
+  let sampleRate = 0;
+  let channels = 1;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (id === "fmt ") {
+      channels = buffer.readUInt16LE(offset + 10);
+      sampleRate = buffer.readUInt32LE(offset + 12);
+    } else if (id === "data") {
+      // Streaming encoders write 0 or 0xFFFFFFFF when the length is unknown
+      const end = size && size !== 0xffffffff ? Math.min(buffer.length, offset + 8 + size) : buffer.length;
+      return { pcm: buffer.subarray(offset + 8, end), sampleRate, channels };
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  throw new Error("WAV file has no data chunk");
+}
+
+module.exports = {
+  encodeWav,
+  decodeWav,
+};
@@ -0,0 +1,223 @@
+// backend/rateLimiter.js - Per-session and per-user rate limits and quotas
+//
+// Every limit is a token bucket: it holds up to `limit` units and refills
+// evenly over its window, so a client can burst up to the limit and then
+// continues at the average rate. Each call is checked against the session's
+// bucket and, when the caller is authenticated, the user's bucket too. A caller
+// with neither (REST calls without a session while auth is off) gets a bucket
+// per client address, with the session limits.
+//
+// Limits (env, 0 = unlimited):
+//   turns       LIMIT_TURNS_PER_MINUTE      (default 20)
+//   ttsChars    LIMIT_TTS_CHARS_PER_HOUR    (default 20000)
+//   asrSeconds  LIMIT_ASR_MINUTES_PER_HOUR  (default 30, counted in seconds of audio)
+//   uploads     LIMIT_UPLOADS_PER_HOUR      (default 10)
+// USER_LIMIT_* with the same suffixes sets the per-user limits (default 5x the session limit).
+const { readNumber } = require("./utils/env");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const LIMITS = {
+  turns: { env: "TURNS_PER_MINUTE", windowMs: MINUTE, defaultLimit: 20, scale: 1 },
+  ttsChars: { env: "TTS_CHARS_PER_HOUR", windowMs: HOUR, defaultLimit: 20000, scale: 1 },
+  asrSeconds: { env: "ASR_MINUTES_PER_HOUR", windowMs: HOUR, defaultLimit: 30, scale: 60 },
+  uploads: { env: "UPLOADS_PER_HOUR", windowMs: HOUR, defaultLimit: 10, scale: 1 },
+};
+
+const USER_MULTIPLIER = 5;
+
+// What the assistant says when a limit is hit
+const LIMIT_MESSAGES = {
+  turns: "You're asking faster than I can keep up. Give me a few seconds, then try again.",
+  ttsChars: "I've done a lot of talking this hour, so I'll answer in text for now.",
+  asrSeconds: "I've been listening for a long time, so I'm pausing the microphone for now. You can still type to me.",
+  uploads: "That's a lot of uploads for now. Please try again a little later.",
+};
+
+class RateLimitError extends Error {
+  constructor(limit, retryAfterMs) {
+    super(LIMIT_MESSAGES[limit] || "Rate limit reached");
+    this.name = "RateLimitError";
+    this.code = "RATE_LIMITED";
+    this.status = 429;
+    this.limit = limit;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} opts - { session: { turns, ttsChars, asrSeconds, uploads }, user: { ... } }
+   */
+  constructor(opts = {}) {
+    this.limits = { session: {}, user: {} };
+    for (const name of Object.keys(LIMITS)) {
+      this.limits.session[name] = opts.session?.[name] ?? 0;
+      this.limits.user[name] = opts.user?.[name] ?? 0;
+    }
+
+    this.buckets = new Map();
+    this.counters = {};
+    for (const name of Object.keys(LIMITS)) {
+      this.counters[name] = { used: 0, rejected: 0 };
+    }
+  }
+
+  bucketFor(kind, id, name) {
+    const limit = this.limits[kind][name];
+    if (!limit || !id) return null;
+
+    const key = `${kind}:${id}:${name}`;
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit, updatedAt: Date.now(), limit, windowMs: LIMITS[name].windowMs };
+      this.buckets.set(key, bucket);
+    }
+
+    // Refill for the time since the last use
+    const now = Date.now();
+    bucket.tokens = Math.min(limit, bucket.tokens + ((now - bucket.updatedAt) / bucket.windowMs) * limit);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  bucketsFor(name, scope) {
+    const buckets = [
+      this.bucketFor("session", scope.sessionId, name),
+      this.bucketFor("user", scope.userId, name),
+    ];
+    if (!scope.sessionId && !scope.userId && scope.clientId) {
+      buckets.push(this.bucketFor("session", `client:${scope.clientId}`, name));
+    }
+    return buckets.filter(Boolean);
+  }
+
+  /**
+   * Would `amount` fit right now? Nothing is consumed.
+   * An amount larger than the whole limit fits a full bucket (which then goes
+   * negative), otherwise it could never be allowed.
+   * @param {Object} scope - { sessionId, userId, clientId }; clientId counts only without the other two
+   * @returns {Object} { allowed, retryAfterMs }
+   */
+  check(name, scope, amount = 1) {
+    let retryAfterMs = 0;
+    for (const bucket of this.bucketsFor(name, scope)) {
+      if (bucket.tokens < amount) {
+        const missing = Math.min(amount, bucket.limit) - bucket.tokens;
+        retryAfterMs = Math.max(retryAfterMs, Math.ceil((missing / bucket.limit) * bucket.windowMs));
+      }
+    }
+    return { allowed: retryAfterMs === 0, retryAfterMs };
+  }
+
+  /**
+   * Take `amount` if every bucket has room; otherwise take nothing
+   * @returns {Object} { allowed, retryAfterMs }
+   */
+  consume(name, scope, amount = 1) {
+    const result = this.check(name, scope, amount);
+    if (!result.allowed) {
+      this.counters[name].rejected++;
+      return result;
+    }
+
+    for (const bucket of this.bucketsFor(name, scope)) bucket.tokens -= amount;
+    this.counters[name].used += amount;
+    return result;
+  }
+
+  /**
+   * consume() that throws instead of returning a denial
+   * @throws {RateLimitError}
+   */
+  take(name, scope, amount = 1) {
+    const result = this.consume(name, scope, amount);
+    if (!result.allowed) throw new RateLimitError(name, result.retryAfterMs);
+  }
+
+  /**
+   * Record usage that already happened (streamed audio); buckets may go negative
+   * @returns {Object} { allowed } - false once the budget is used up
+   */
+  charge(name, scope, amount) {
+    let allowed = true;
+    for (const bucket of this.bucketsFor(name, scope)) {
+      bucket.tokens -= amount;
+      if (bucket.tokens <= 0) allowed = false;
+    }
+    this.counters[name].used += amount;
+    if (!allowed) this.counters[name].rejected++;
+    return { allowed };
+  }
+
+  /**
+   * Drop buckets that have refilled completely; returns how many were removed
+   */
+  sweep() {
+    let removed = 0;
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      const tokens = bucket.tokens + ((now - bucket.updatedAt) / bucket.windowMs) * bucket.limit;
+      if (tokens >= bucket.limit) {
+        this.buckets.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  stats() {
+    const limits = {};
+    for (const [name, spec] of Object.entries(LIMITS)) {
+      limits[name] = {
+        session: this.limits.session[name],
+        user: this.limits.user[name],
+        windowMs: spec.windowMs,
+      };
+    }
+
+    const usage = {};
+    for (const [name, counter] of Object.entries(this.counters)) {
+      usage[name] = { used: Math.round(counter.used), rejected: counter.rejected };
+    }
+
+    return { limits, usage, trackedBuckets: this.buckets.size };
+  }
+}
+
+function sendRateLimitError(res, err) {
+  res.set("Retry-After", String(Math.max(1, Math.ceil(err.retryAfterMs / 1000))));
+  res.status(429).json({
+    success: false,
+    code: err.code,
+    error: err.message,
+    limit: err.limit,
+    retryAfterMs: err.retryAfterMs,
+  });
+}
+
+/**
+ * Limiter configured from LIMIT_* and USER_LIMIT_* env variables
+ */
+function createRateLimiterFromEnv() {
+  const session = {};
+  const user = {};
+
+  for (const [name, spec] of Object.entries(LIMITS)) {
+    const sessionLimit = readNumber(`LIMIT_${spec.env}`, spec.defaultLimit);
+    const userLimit = readNumber(`USER_LIMIT_${spec.env}`, sessionLimit * USER_MULTIPLIER);
+    session[name] = sessionLimit * spec.scale;
+    user[name] = userLimit * spec.scale;
+  }
+
+  return new RateLimiter({ session, user });
+}
+
+module.exports = {
+  RateLimiter,
+  createRateLimiterFromEnv,
+  sendRateLimitError,
+  RateLimitError,
+  LIMIT_MESSAGES,
+};
@@ -0,0 +1,293 @@
+// backend/retrieval.js - Passages of uploaded documents and BM25 search over them
+//
+// Uploads are split into passages of about DOC_PASSAGE_CHARS characters at paragraph
+// and sentence boundaries. Each question is scored against every passage (Okapi BM25)
+// and the best ones, up to DOC_CONTEXT_CHARS in total, go into the prompt, so any
+// part of a long manual or report can be asked about. Passages remember their page
+// and section, so answers can say where a fact came from.
+const { readInteger } = require("./utils/env");
+
+const DEFAULT_SETTINGS = {
+  passageChars: 900,   // Target passage length
+  contextChars: 4000,  // Passage text per question
+};
+
+// The usual BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+// Source references listed when the reply cites none itself
+const MAX_SOURCES = 3;
+
+const STOPWORDS = new Set((
+  "a about an and any are as at be been but by can could did do does for from had has have how i if in " +
+  "into is it its me my no not of on or our please so tell than that the their them then there these " +
+  "they this those to us was we were what when where which who why will with would you your"
+).split(" "));
+
+// Plurals only; enough for "prices" to find "price"
+function stem(word) {
+  if (word.length > 4 && word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Join pieces in order into groups of at most `max` characters (a longer piece stays whole)
+function pack(pieces, max, separator) {
+  const groups = [];
+  let current = "";
+  for (const piece of pieces) {
+    if (current && current.length + separator.length + piece.length > max) {
+      groups.push(current);
+      current = "";
+    }
+    current = current ? current + separator + piece : piece;
+  }
+  if (current) groups.push(current);
+  return groups;
+}
+
+// A paragraph over the limit is cut between sentences, and a sentence over it between words
+function splitLong(paragraph, max) {
+  const sentences = paragraph
+    .split(/(?<=[.!?])\s+/)
+    .flatMap(sentence => (sentence.length > max ? pack(sentence.split(" "), max, " ") : [sentence]));
+  return pack(sentences, max, " ");
+}
+
+/**
+ * Split an extracted document into passages. A heading starts a new passage and names
+ * the section of the passages under it; a passage may run over a page break.
+ * @param {Object[]|string} source - Blocks from documentText.js ([{ text, page, heading }]),
+ *   or plain text with paragraphs separated by blank lines
+ * @returns {Object[]} [{ id, text, page, pageEnd, section }] in document order; `id` is the
+ *   position, `page`/`pageEnd` are null without page numbers, `section` without a heading
+ */
+function splitIntoPassages(source, settings = DEFAULT_SETTINGS) {
+  const max = settings.passageChars;
+  const blocks = typeof source === "string" || !source
+    ? String(source || "").split(/\n\s*\n/).map(text => ({ text, page: null, heading: false }))
+    : source;
+
+  const passages = [];
+  let section = null;
+  let current = null;
+  const close = () => {
+    if (current) passages.push(current);
+    current = null;
+  };
+
+  for (const block of blocks) {
+    const text = block.text.replace(/\s+/g, " ").trim();
+    if (!text) continue;
+    if (block.heading) {
+      close();
+      section = text;
+      continue;
+    }
+
+    const page = block.page ?? null;
+    for (const piece of text.length > max ? splitLong(text, max) : [text]) {
+      if (current && current.text.length + 1 + piece.length > max) close();
+      if (current) {
+        current.text += "\n" + piece;
+        current.pageEnd = page;
+      } else {
+        current = { id: passages.length, text: piece, page, pageEnd: page, section };
+      }
+    }
+  }
+  close();
+  return passages;
+}
+
+// Built on first use and kept for the life of the document object
+const indexes = new WeakMap();
+
+function indexFor(document, settings) {
+  let index = indexes.get(document);
+  if (index) return index;
+
+  // Documents stored before passages existed only have their text
+  const passages = document.passages || splitIntoPassages(document.content, settings);
+  const docs = passages.map((passage) => {
+    const tokens = tokenize(passage.section ? `${passage.section}\n${passage.text}` : passage.text);
+    const terms = new Map();
+    for (const token of tokens) terms.set(token, (terms.get(token) || 0) + 1);
+    return { terms, length: tokens.length };
+  });
+
+  const df = new Map();
+  for (const doc of docs) {
+    for (const term of doc.terms.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const avgLength = docs.reduce((total, doc) => total + doc.length, 0) / (docs.length || 1) || 1;
+
+  index = { passages, docs, df, avgLength };
+  indexes.set(document, index);
+  return index;
+}
+
+function score(index, doc, terms) {
+  const count = index.passages.length;
+  let total = 0;
+  for (const term of terms) {
+    const tf = doc.terms.get(term);
+    if (!tf) continue;
+    const df = index.df.get(term);
+    const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+    total += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / index.avgLength));
+  }
+  return total;
+}
+
+// Positions spread evenly over the document, for questions no passage matches
+function spread(count, wanted) {
+  const step = Math.max(1, count / Math.max(1, wanted));
+  const positions = [];
+  for (let at = 0; at < count && positions.length < wanted; at += step) positions.push(Math.floor(at));
+  return positions;
+}
+
+/**
+ * The passages of one or more documents that best answer `query`, best first, within
+ * settings.contextChars. When no passage shares a term with the question ("summarize
+ * this") passages spread over each document are returned instead, as an overview.
+ * @param {Object|Object[]} documents - { id, name, passages } (older documents: { filename, content })
+ * @returns {Object} { passages: [{ id, text, score, document, documentId }], total, documents,
+ *   matched, overview } - `matched` is the share of the question's terms found in the returned
+ *   passages (0..1), `documents` how many documents were searched
+ */
+function retrievePassages(documents, query, settings = DEFAULT_SETTINGS) {
+  documents = Array.isArray(documents) ? documents : [documents];
+  const terms = [...new Set(tokenize(query))];
+  const searched = documents.map(document => ({ document, index: indexFor(document, settings) }));
+
+  // BM25 statistics are per document, so scores from different documents are only roughly comparable
+  let ranked = searched
+    .flatMap(({ document, index }) => index.docs.map((doc, position) => ({ document, index, position, score: score(index, doc, terms) })))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+  const overview = !ranked.length;
+  if (overview) {
+    const wanted = Math.max(1, Math.floor(settings.contextChars / settings.passageChars / searched.length));
+    ranked = searched.flatMap(({ document, index }) =>
+      spread(index.passages.length, wanted).map(position => ({ document, index, position, score: 0 })));
+  }
+
+  const picked = [];
+  let chars = 0;
+  for (const entry of ranked) {
+    const passage = entry.index.passages[entry.position];
+    if (picked.length && chars + passage.text.length > settings.contextChars) break;
+    picked.push({
+      ...entry,
+      passage: {
+        ...passage,
+        score: Math.round(entry.score * 100) / 100,
+        document: entry.document.name || entry.document.filename,
+        documentId: entry.document.id || null,
+      },
+    });
+    chars += passage.text.length;
+  }
+
+  const found = terms.filter(term => picked.some(({ index, position }) => index.docs[position].terms.has(term)));
+  return {
+    passages: picked.map(entry => entry.passage),
+    total: searched.reduce((total, { index }) => total + index.passages.length, 0),
+    documents: searched.length,
+    matched: terms.length ? found.length / terms.length : 0,
+    overview,
+  };
+}
+
+/**
+ * Where a passage is, as it would be said aloud: "page 12, under Pricing",
+ * "pages 3 to 4", "under Warranty", or "" when nothing is known; with `withDocument`
+ * the document is named first ("in contract, page 3")
+ */
+function citationFor(passage, withDocument = false) {
+  const parts = [];
+  if (withDocument && passage.document) parts.push(`in ${passage.document}`);
+  if (passage.page) {
+    parts.push(passage.pageEnd && passage.pageEnd !== passage.page
+      ? `pages ${passage.page} to ${passage.pageEnd}`
+      : `page ${passage.page}`);
+  }
+  if (passage.section) parts.push(`under ${passage.section}`);
+  return parts.join(", ");
+}
+
+// Up to `max` characters of the passage, from the first sentence with a query term
+function snippetFor(text, terms, max = 280) {
+  const sentences = text.split(/(?<=[.!?])\s+|\n/);
+  const first = sentences.findIndex(sentence => tokenize(sentence).some(term => terms.includes(term)));
+  const from = first > 0 ? sentences.slice(first).join(" ") : text.replace(/\n/g, " ");
+  if (from.length <= max) return from;
+  const cut = from.lastIndexOf(" ", max);
+  return from.substring(0, cut > 0 ? cut : max) + "…";
+}
+
+/**
+ * Passages a reply relies on, as source references for the client: the ones whose page
+ * or section the reply mentions, else the best-scoring ones
+ * @param {Object} retrieval - Result of retrievePassages for the question
+ * @returns {Object[]} [{ document, documentId, passage, page, pageEnd, section, citation, snippet }];
+ *   `passage` counts from 1 within its document
+ */
+function sourcesFor(reply, retrieval, query) {
+  const lower = reply.toLowerCase();
+  const mentionsPage = page => page && new RegExp(`\\bpages? ${page}\\b`).test(lower);
+  const cited = retrieval.passages.filter(passage =>
+    mentionsPage(passage.page) || mentionsPage(passage.pageEnd) ||
+    (passage.section && lower.includes(passage.section.toLowerCase())));
+
+  // Without a citation in the reply: passages scoring at least half of the best one
+  const best = retrieval.passages[0]?.score || 0;
+  const used = cited.length
+    ? cited
+    : retrieval.passages.filter(passage => retrieval.overview || passage.score >= best / 2).slice(0, MAX_SOURCES);
+
+  const terms = tokenize(query);
+  return used.map(passage => ({
+    document: passage.document,
+    documentId: passage.documentId,
+    passage: passage.id + 1,
+    page: passage.page ?? null,
+    pageEnd: passage.pageEnd ?? null,
+    section: passage.section ?? null,
+    citation: citationFor(passage, retrieval.documents > 1),
+    snippet: snippetFor(passage.text, terms),
+  }));
+}
+
+/**
+ * Settings from DOC_PASSAGE_CHARS (200-4000) and DOC_CONTEXT_CHARS (500-20000)
+ * @throws {Error} On values out of range
+ */
+function retrievalSettingsFromEnv() {
+  const settings = {
+    passageChars: readInteger("DOC_PASSAGE_CHARS", DEFAULT_SETTINGS.passageChars, 200, 4000),
+    contextChars: readInteger("DOC_CONTEXT_CHARS", DEFAULT_SETTINGS.contextChars, 500, 20000),
+  };
+  if (settings.contextChars < settings.passageChars) {
+    throw new Error("DOC_CONTEXT_CHARS must be at least DOC_PASSAGE_CHARS");
+  }
+  return settings;
+}
+
+module.exports = {
+  splitIntoPassages,
+  retrievePassages,
+  citationFor,
+  sourcesFor,
+  retrievalSettingsFromEnv,
+  tokenize,
+  DEFAULT_SETTINGS,
+};
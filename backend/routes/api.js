@@ -0,0 +1,186 @@
+// backend/routes/api.js - REST endpoints for chat, TTS and transcription
+//
+// Same brain and voice as the WebSocket, for scripts and backend services.
+// Every endpoint takes an optional session id (x-session-id header or `sessionId`
+// in the body) so calls share memory, voice and document with that session.
+// Without one, a chat is answered on its own and nothing is stored.
+const express = require("express");
+const multer = require("multer");
+const routeRequest = require("../intelligentRouter");
+const { synthesizeText } = require("../ttsStreamSentences");
+const { transcribe } = require("../asr");
+const { getTTSProvider, isAbortError } = require("../providers/tts");
+const { resolveSessionId } = require("../auth");
+const { sendRateLimitError, RateLimitError } = require("../rateLimiter");
+const {
+  memorySnapshot,
+  buildMemoryContext,
+  routeOptions,
+  detectName,
+  recordExchange,
+  compactInBackground,
+} = require("../conversation");
+
+const MAX_CHAT_CHARS = 2000;
+const MAX_TTS_CHARS = 5000;
+
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024 },
+});
+
+// Session tokens carry their own session; API keys and open mode may name one
+function readSessionId(req) {
+  const id = req.headers["x-session-id"] || req.body?.sessionId;
+  if (id !== undefined && (typeof id !== "string" || !id || id.length > 200)) {
+    throw Object.assign(new Error("Invalid session ID"), { status: 400 });
+  }
+  return resolveSessionId(req.identity, id);
+}
+
+function readText(req, max) {
+  const text = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+  if (!text) throw Object.assign(new Error('"text" is required'), { status: 400 });
+  if (text.length > max) {
+    throw Object.assign(new Error(`"text" is longer than ${max} characters`), { status: 400 });
+  }
+  return text;
+}
+
+// Abort provider calls when the caller hangs up
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+function sendFailure(res, tag, err) {
+  if (err instanceof RateLimitError && !res.headersSent) return sendRateLimitError(res, err);
+  const status = err.status || 500;
+  if (status >= 500) console.error(`❌ [API] ${tag}: ${err.message}`);
+  if (res.headersSent) return;
+  res.status(status).json({ success: false, ...(err.code && { code: err.code }), error: err.message });
+}
+
+/**
+ * @param {Object} deps - { getOrCreateSession(sessionId, identity), newSession() for calls
+ *   without a session (not stored), sessionStore, limiter, retrieval }
+ * Mount behind auth.requireAuth so req.identity is set
+ */
+function createApiRouter({ getOrCreateSession, newSession, sessionStore, limiter, retrieval }) {
+  const router = express.Router();
+
+  // Calls without a session are limited per user, or per client address when auth is off
+  const scopeOf = (req, sessionId) => ({
+    sessionId,
+    userId: req.identity?.userId,
+    clientId: req.ip || req.socket.remoteAddress,
+  });
+
+  // Text in, reply and route metadata out; memory is updated like a spoken turn
+  router.post("/chat", async (req, res) => {
+    try {
+      const text = readText(req, MAX_CHAT_CHARS);
+      const sessionId = readSessionId(req);
+      const session = sessionId ? getOrCreateSession(sessionId, req.identity) : newSession();
+      limiter.take("turns", scopeOf(req, sessionId));
+      const signal = abortOnClose(res);
+
+      console.log(`\n🌐 [API] chat ${sessionId || "(no session)"}: "${text.substring(0, 60)}"`);
+      detectName(session.memory, text);
+
+      let route = null;
+      let sources = null;
+      const tools = [];
+      const reply = await routeRequest(
+        text,
+        buildMemoryContext(session.memory),
+        session.documents || [],
+        signal,
+        {
+          ...routeOptions(session.memory),
+          retrieval,
+          onRoute: (r) => { route = r; },
+          onTool: (t) => tools.push(t),
+          onSources: (s) => { sources = s; },
+        }
+      );
+
+      recordExchange(session.memory, text, reply, tools);
+      if (sessionId) {
+        sessionStore.save(sessionId);
+        compactInBackground(session.memory, () => sessionStore.save(sessionId));
+      }
+
+      res.json({
+        success: true,
+        sessionId,
+        reply,
+        route,
+        sources,
+        memory: memorySnapshot(session.memory),
+      });
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      sendFailure(res, "chat", err);
+    }
+  });
+
+  // Text + voice in, one audio file out
+  router.post("/tts", async (req, res) => {
+    try {
+      const text = readText(req, MAX_TTS_CHARS);
+      const sessionId = readSessionId(req);
+      const voiceId = req.body.voice || (sessionId ? getOrCreateSession(sessionId, req.identity).voiceId : undefined);
+      limiter.take("ttsChars", scopeOf(req, sessionId), text.length);
+      const signal = abortOnClose(res);
+
+      console.log(`\n🌐 [API] tts ${text.length} chars (${voiceId || getTTSProvider().defaultVoice})`);
+      const result = await synthesizeText(text, { voiceId, signal });
+
+      if (sessionId) res.set("X-Session-Id", sessionId);
+      res.set("Content-Type", result.format.mimeType);
+      res.set("X-TTS-Chunks", String(result.chunks));
+      res.send(result.audio);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      sendFailure(res, "tts", err);
+    }
+  });
+
+  // Audio file (multipart field "audio") in, transcript out
+  router.post("/transcribe", audioUpload.single("audio"), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'Audio file required (field "audio")' });
+      }
+
+      const sessionId = readSessionId(req);
+      if (sessionId) getOrCreateSession(sessionId, req.identity);
+
+      // The length is only known afterwards, so the budget is checked up front and charged after
+      const scope = scopeOf(req, sessionId);
+      const budget = limiter.check("asrSeconds", scope);
+      if (!budget.allowed) throw new RateLimitError("asrSeconds", budget.retryAfterMs);
+
+      console.log(`\n🌐 [API] transcribe ${(req.file.size / 1024).toFixed(1)}KB ${req.file.mimetype}`);
+      const result = await transcribe(req.file.buffer, { mimetype: req.file.mimetype });
+      if (result.duration) limiter.charge("asrSeconds", scope, result.duration);
+
+      res.json({
+        success: true,
+        sessionId,
+        text: result.text || "",
+        confidence: result.confidence ?? null,
+      });
+    } catch (err) {
+      sendFailure(res, "transcribe", err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApiRouter;
@@ -0,0 +1,66 @@
+// backend/routes/documents.js - The session's document library
+//
+// Documents are added with POST /upload; these endpoints list and manage them.
+// Like /upload, every call names its session in the x-session-id header.
+const express = require("express");
+const { resolveSessionId, sendAuthError, AuthError } = require("../auth");
+const { listDocuments, updateDocument, deleteDocument, documentSummary } = require("../documentLibrary");
+
+function sendFailure(res, tag, err) {
+  if (err instanceof AuthError) return sendAuthError(res, err);
+  const status = err.status || 500;
+  if (status >= 500) console.error(`❌ [DOCUMENTS] ${tag}: ${err.message}`);
+  res.status(status).json({ success: false, error: err.message });
+}
+
+/**
+ * @param {Object} deps - { getOrCreateSession(sessionId, identity), sessionStore }
+ * Mount behind auth.requireAuth so req.identity is set
+ */
+function createDocumentsRouter({ getOrCreateSession, sessionStore }) {
+  const router = express.Router();
+
+  function sessionOf(req) {
+    const sessionId = resolveSessionId(req.identity, req.headers["x-session-id"]);
+    if (!sessionId) throw Object.assign(new Error("Session ID required"), { status: 400 });
+    return { sessionId, session: getOrCreateSession(sessionId, req.identity) };
+  }
+
+  router.get("/", (req, res) => {
+    try {
+      const { session } = sessionOf(req);
+      res.json({ success: true, documents: listDocuments(session) });
+    } catch (err) {
+      sendFailure(res, "list", err);
+    }
+  });
+
+  // Body: { name?, pinned? }
+  router.patch("/:id", (req, res) => {
+    try {
+      const { sessionId, session } = sessionOf(req);
+      const doc = updateDocument(session, req.params.id, req.body || {});
+      sessionStore.save(sessionId);
+      console.log(`📄 [DOCUMENTS] ${sessionId} updated ${doc.id}: "${doc.name}"${doc.pinned ? " (pinned)" : ""}`);
+      res.json({ success: true, document: documentSummary(doc), documents: listDocuments(session) });
+    } catch (err) {
+      sendFailure(res, "update", err);
+    }
+  });
+
+  router.delete("/:id", (req, res) => {
+    try {
+      const { sessionId, session } = sessionOf(req);
+      const doc = deleteDocument(session, req.params.id);
+      sessionStore.save(sessionId);
+      console.log(`🗑️ [DOCUMENTS] ${sessionId} deleted ${doc.filename}`);
+      res.json({ success: true, documents: listDocuments(session) });
+    } catch (err) {
+      sendFailure(res, "delete", err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDocumentsRouter;
@@ -5,28 +5,105 @@ const express = require("express");
 const WebSocket = require("ws");
 const path = require("path");
 const multer = require("multer");
-const pdfParse = require("pdf-parse");
-const mammoth = require("mammoth");
 const fs = require("fs");
 
-const routeRequest = require("./intelligentRouter");
 const murfStreamSentences = require("./ttsStreamSentences");
+const { speechSettingsFromEnv, warmUpCache } = murfStreamSentences;
+const { getTTSCache } = require("./ttsCache");
+const { FALLBACK_REPLY } = require("./intelligentRouter");
+const { createConversation, memorySnapshot } = require("./conversation");
+const createApiRouter = require("./routes/api");
+const createDocumentsRouter = require("./routes/documents");
+const {
+  createAuthFromEnv,
+  resolveSessionId,
+  checkSessionOwner,
+  sendAuthError,
+  AuthError,
+} = require("./auth");
+const { createSessionStore } = require("./sessionStore");
+const { splitIntoPassages, retrievalSettingsFromEnv } = require("./retrieval");
+const { extractDocument } = require("./documentText");
+const {
+  migrateDocuments,
+  listDocuments,
+  documentSummary,
+  checkRoom,
+  addDocument,
+} = require("./documentLibrary");
+const { migrateMemory } = require("./history");
+const { createEchoGuard, echoSettingsFromEnv } = require("./echoGuard");
+const { createPlaybackTracker } = require("./playback");
+const {
+  createBargeIn,
+  bargeInDefaultsFromEnv,
+  resolveBargeInSettings,
+  isBackchannel,
+  SETTINGS: BARGE_IN_SETTINGS,
+} = require("./bargeIn");
+const {
+  createEndOfTurn,
+  endOfTurnDefaultsFromEnv,
+  resolveEndOfTurnSettings,
+  SETTINGS: END_OF_TURN_SETTINGS,
+} = require("./endOfTurn");
+const { createRateLimiterFromEnv, sendRateLimitError, RateLimitError, LIMIT_MESSAGES } = require("./rateLimiter");
+const { getASRProvider } = require("./providers/asr");
+const { getTTSProvider, pickStreamEncoding } = require("./providers/tts");
+const llm = require("./providers/llm");
+const protocol = require("../protocol");
+
+let asrProvider;
+try {
+  asrProvider = getASRProvider();
+  asrProvider.validate();
+} catch (err) {
+  console.error(`❌ [ASR] ${err.message}`);
+  process.exit(1);
+}
+
+const ttsProvider = getTTSProvider();
+let ttsReady = true;
+try {
+  ttsProvider.validate();
+} catch (err) {
+  ttsReady = false;
+  console.warn(`⚠️ [TTS] ${err.message} - replies will be text only`);
+}
 
-const DEEPGRAM_KEY = process.env.DEEPGRAM_API_KEY;
-if (!DEEPGRAM_KEY) {
-  console.error("❌ DEEPGRAM_API_KEY not found");
+let speechSettings;
+let ttsCache;
+try {
+  speechSettings = speechSettingsFromEnv();
+  ttsCache = getTTSCache();
+} catch (err) {
+  console.error(`❌ [TTS] ${err.message}`);
+  process.exit(1);
+}
+
+try {
+  for (const problem of llm.validate()) {
+    console.warn(`⚠️ [LLM] ${problem}`);
+  }
+} catch (err) {
+  console.error(`❌ [LLM] ${err.message}`);
   process.exit(1);
 }
 
+let auth;
+try {
+  auth = createAuthFromEnv();
+} catch (err) {
+  console.error(`❌ [AUTH] ${err.message}`);
+  process.exit(1);
+}
+if (!auth.enabled) {
+  console.warn("⚠️ [AUTH] AUTH_SECRET not set - WebSocket, /upload and /api are open to anyone");
+}
+
 const app = express();
 
-app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type, x-session-id");
-  if (req.method === "OPTIONS") return res.sendStatus(200);
-  next();
-});
+app.use(auth.cors);
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "..")));
@@ -46,36 +123,109 @@ const upload = multer({
 });
 
 // Session management with enhanced memory
-const sessionData = new Map();
-
-function getOrCreateSession(sessionId) {
-  if (!sessionData.has(sessionId)) {
-    sessionData.set(sessionId, {
-      document: null,
-      voiceId: "en-US-terrell",
-      memory: {
-        userName: null,
-        location: null,
-        date: new Date().toLocaleDateString('en-US', { 
-          weekday: 'long', 
-          year: 'numeric', 
-          month: 'long', 
-          day: 'numeric' 
-        }),
-        lastUserMessages: [],
-        lastBotMessages: [],
-      },
-      createdAt: Date.now(),
-      lastActivity: Date.now(),
-    });
+let sessionStore;
+try {
+  sessionStore = createSessionStore();
+} catch (err) {
+  console.error(`❌ [SESSION] ${err.message}`);
+  process.exit(1);
+}
+
+let retrievalSettings;
+try {
+  retrievalSettings = retrievalSettingsFromEnv();
+} catch (err) {
+  console.error(`❌ [DOCUMENT] ${err.message}`);
+  process.exit(1);
+}
+
+let limiter;
+try {
+  limiter = createRateLimiterFromEnv();
+} catch (err) {
+  console.error(`❌ [LIMIT] ${err.message}`);
+  process.exit(1);
+}
+
+let bargeInDefaults;
+let echoSettings;
+let endOfTurnDefaults;
+try {
+  bargeInDefaults = bargeInDefaultsFromEnv();
+  echoSettings = echoSettingsFromEnv();
+  endOfTurnDefaults = endOfTurnDefaultsFromEnv();
+} catch (err) {
+  console.error(`❌ [BARGE-IN] ${err.message}`);
+  process.exit(1);
+}
+
+// Microphone audio is 16 kHz 16-bit mono PCM
+const ASR_BYTES_PER_SECOND = 16000 * 2;
+
+function todayString() {
+  return new Date().toLocaleDateString('en-US', { 
+    weekday: 'long', 
+    year: 'numeric', 
+    month: 'long', 
+    day: 'numeric' 
+  });
+}
+
+/**
+ * Session by id, created on first use; `identity` (when auth is on) must own it
+ * @throws {AuthError} When the session belongs to another user
+ */
+function newSession() {
+  return {
+    documents: [],
+    voiceId: "en-US-terrell",
+    memory: {
+      userName: null,
+      location: null,
+      date: todayString(),
+      messages: [],
+      summary: null,
+    },
+    createdAt: Date.now(),
+    lastActivity: Date.now(),
+  };
+}
+
+function loadSession(sessionId, identity = null) {
+  const result = sessionStore.getOrCreate(sessionId, newSession);
+
+  if (result.created) {
     console.log(`🆕 [SESSION] Created: ${sessionId}`);
-  } else {
-    sessionData.get(sessionId).lastActivity = Date.now();
   }
-  return sessionData.get(sessionId);
+  checkSessionOwner(result.session, identity);
+
+  // Restored sessions may be days old, and may predate role-based history
+  result.session.memory.date = todayString();
+  migrateMemory(result.session.memory);
+  migrateDocuments(result.session);
+  result.session.lastActivity = Date.now();
+  sessionStore.save(sessionId);
+
+  return result;
+}
+
+function getOrCreateSession(sessionId, identity = null) {
+  return loadSession(sessionId, identity).session;
 }
 
-app.post("/upload", upload.single("document"), async (req, res) => {
+function sendError(ws, code, message) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  try {
+    ws.send(JSON.stringify(protocol.createError(code, message)));
+  } catch (e) {}
+}
+
+app.post("/auth/session", auth.sessionHandler);
+
+app.use("/api", auth.requireAuth, createApiRouter({ getOrCreateSession, newSession, sessionStore, limiter, retrieval: retrievalSettings }));
+app.use("/documents", auth.requireAuth, createDocumentsRouter({ getOrCreateSession, sessionStore }));
+
+app.post("/upload", auth.requireAuth, upload.single("document"), async (req, res) => {
   console.log("\n" + "=".repeat(70));
   console.log("📄 [UPLOAD] Request received");
 
@@ -84,66 +234,71 @@ app.post("/upload", upload.single("document"), async (req, res) => {
       return res.status(400).json({ success: false, error: "No file uploaded" });
     }
 
+    const sessionId = resolveSessionId(req.identity, req.headers["x-session-id"]);
+    if (!sessionId) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        success: false,
+        error: "Session ID required",
+      });
+    }
+    const session = getOrCreateSession(sessionId, req.identity);
+    // A full library is refused before it costs upload quota or parsing time
+    checkRoom(session);
+    limiter.take("uploads", { sessionId, userId: req.identity?.userId });
+
     console.log(`📁 [FILE] ${req.file.originalname} (${(req.file.size / 1024).toFixed(2)} KB)`);
 
     const filePath = req.file.path;
     const ext = path.extname(req.file.originalname).toLowerCase();
-    let documentText = "";
-
     const startTime = Date.now();
 
-    if (ext === ".pdf") {
-      console.log("📖 [PDF] Parsing...");
-      const dataBuffer = fs.readFileSync(filePath);
-      const pdfData = await pdfParse(dataBuffer);
-      documentText = pdfData.text;
-      console.log(`✅ [PDF] ${pdfData.numpages} pages, ${documentText.length} chars (${Date.now() - startTime}ms)`);
-    } else if (ext === ".docx" || ext === ".doc") {
-      console.log("📝 [DOCX] Parsing...");
-      const result = await mammoth.extractRawText({ path: filePath });
-      documentText = result.value;
-      console.log(`✅ [DOCX] ${documentText.length} chars (${Date.now() - startTime}ms)`);
-    }
+    console.log(ext === ".pdf" ? "📖 [PDF] Parsing..." : "📝 [DOCX] Parsing...");
+    const extracted = await extractDocument(filePath, ext);
+    const headings = extracted.blocks.filter(block => block.heading).length;
+    console.log(`✅ [${ext === ".pdf" ? "PDF" : "DOCX"}] ${extracted.pages ? `${extracted.pages} pages, ` : ""}${headings} headings, ${extracted.chars} chars (${Date.now() - startTime}ms)`);
 
-    const sessionId = req.headers["x-session-id"];
-    if (!sessionId) {
-      fs.unlinkSync(filePath);
-      return res.status(400).json({
-        success: false,
-        error: "Session ID required",
-      });
-    }
+    // Questions are answered from the passages that match them (retrieval.js)
+    const passages = splitIntoPassages(extracted.blocks, retrievalSettings);
+    console.log(`📚 [DOCUMENT] ${passages.length} passages`);
 
-    const session = getOrCreateSession(sessionId);
-    session.document = {
+    const doc = addDocument(session, {
       filename: req.file.originalname,
-      content: documentText,
-      uploadedAt: new Date().toISOString(),
+      passages,
+      pages: extracted.pages,
+      chars: extracted.chars,
       size: req.file.size,
-    };
+    });
 
-    console.log(`💾 [SESSION] Document stored: ${sessionId}`);
+    sessionStore.save(sessionId);
+    console.log(`💾 [SESSION] Document stored: ${sessionId} (${session.documents.length} in library)`);
     fs.unlinkSync(filePath);
 
     res.json({
       success: true,
       filename: req.file.originalname,
       size: req.file.size,
-      extracted: documentText.length,
+      extracted: extracted.chars,
+      passages: passages.length,
       sessionId: sessionId,
+      document: documentSummary(doc),
+      documents: listDocuments(session),
     });
 
     console.log("=".repeat(70) + "\n");
 
   } catch (err) {
-    console.error(`❌ [UPLOAD] ${err.message}`);
-
     if (req.file && fs.existsSync(req.file.path)) {
       try {
         fs.unlinkSync(req.file.path);
       } catch (e) {}
     }
 
+    if (err instanceof AuthError) return sendAuthError(res, err);
+    if (err instanceof RateLimitError) return sendRateLimitError(res, err);
+    if (err.status) return res.status(err.status).json({ success: false, error: err.message });
+
+    console.error(`❌ [UPLOAD] ${err.message}`);
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -154,7 +309,10 @@ app.get("/health", (req, res) => {
     status: "ok",
     timestamp: new Date(),
     uptime: process.uptime(),
-    sessions: sessionData.size,
+    sessions: sessionStore.size,
+    sessionStore: sessionStore.stats(),
+    limits: limiter.stats(),
+    ttsCache: ttsCache.stats(),
     memory: {
       heapUsed: `${(memUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`,
       rss: `${(memUsage.rss / 1024 / 1024).toFixed(2)} MB`,
@@ -162,451 +320,488 @@ app.get("/health", (req, res) => {
   });
 });
 
+app.get("/voices", (req, res) => {
+  res.json({
+    provider: ttsProvider.name,
+    defaultVoice: ttsProvider.defaultVoice,
+    voices: ttsProvider.listVoices(),
+  });
+});
+
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
-
-function extractLocation(text) {
-  const locationPatterns = [
-    /(?:in|at|for)\s+([A-Z][a-zA-Z\s]+?)(?:\s+city)?(?:\?|$|,|\s+what|\s+how)/i,
-    /(?:weather|temperature|forecast)\s+(?:in|at|for)\s+([A-Z][a-zA-Z\s]+)/i,
-    /(?:city|location|place)\s+(?:is|:)\s+([A-Z][a-zA-Z\s]+)/i
-  ];
-
-  for (const pattern of locationPatterns) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      const location = match[1].trim();
-      if (location.length > 2 && location.length < 30) {
-        return location;
-      }
-    }
-  }
-  
-  return null;
-}
+const wss = new WebSocket.Server({
+  server,
+  verifyClient: (info) => {
+    if (auth.isOriginAllowed(info.origin)) return true;
+    console.warn(`🚫 [AUTH] WebSocket from disallowed origin: ${info.origin}`);
+    return false;
+  },
+});
 
-function openDeepgramSocket(clientWs, sessionId) {
+/**
+ * @param {Object} bargeIn - From createBargeIn(); decides whether speech interrupts a reply
+ * @param {Object} echoGuard - From createEchoGuard(); recognizes the reply coming back through the mic
+ * @param {Object} endOfTurn - From createEndOfTurn(); decides when the user has finished speaking
+ */
+function openASRStream(clientWs, sessionId, conversation, bargeIn, echoGuard, endOfTurn) {
   console.log("\n" + "=".repeat(70));
-  console.log("🎙️ [DEEPGRAM] Starting ASR");
+  console.log(`🎙️ [ASR] Starting ${asrProvider.label}`);
   console.log(`   Session: ${sessionId}`);
   console.log("=".repeat(70));
 
-  const url =
-    `wss://api.deepgram.com/v1/listen?` +
-    `model=nova-2&` +
-    `language=en-IN&` +
-    `encoding=linear16&` +
-    `sample_rate=16000&` +
-    `channels=1&` +
-    `punctuate=true&` +
-    `interim_results=true&` +
-    `endpointing=250&` +
-    `vad_events=true&` +
-    `smart_format=true`;
-
-  const dgWs = new WebSocket(url, {
-    headers: { Authorization: `Token ${DEEPGRAM_KEY}` },
-  });
-
-  let processingAudio = false;
-  let isOpen = false;
-  let keepAliveInterval = null;
-  let transcriptTimeout = null;
-  let currentTTSController = null;
-  
-  // Get session memory
-  const session = getOrCreateSession(sessionId);
-  const memory = session.memory;
-
-  const updateMemory = (userMsg, botMsg) => {
-    if (userMsg) {
-      memory.lastUserMessages.push(userMsg);
-      if (memory.lastUserMessages.length > 4) memory.lastUserMessages.shift();
-      
-      // Extract and save location
-      const location = extractLocation(userMsg);
-      if (location) {
-        memory.location = location;
-        console.log(`📍 [MEMORY] Location saved: ${location}`);
-      }
-    }
-    
-    if (botMsg) {
-      memory.lastBotMessages.push(botMsg);
-      if (memory.lastBotMessages.length > 4) memory.lastBotMessages.shift();
-    }
+  const asrStream = asrProvider.openStream();
 
-    try {
-      clientWs.send(
-        JSON.stringify({
-          type: "memory_update",
-          memory: {
-            userName: memory.userName,
-            location: memory.location,
-            date: memory.date,
-            history: memory.lastUserMessages.slice(-3).map((msg, i) => ({
-              user: msg,
-              assistant: memory.lastBotMessages[i] || "",
-            })),
-          },
-        })
-      );
-    } catch (e) {}
-  };
-
-  dgWs.on("open", () => {
-    isOpen = true;
-    console.log("✅ [DEEPGRAM] Connected");
+  asrStream.on("open", () => {
     clientWs.send(JSON.stringify({ type: "status", status: "Listening..." }));
-
-    keepAliveInterval = setInterval(() => {
-      if (isOpen && dgWs.readyState === WebSocket.OPEN) {
-        try {
-          dgWs.send(JSON.stringify({ type: "KeepAlive" }));
-        } catch (err) {}
-      }
-    }, 5000);
   });
 
-  dgWs.on("message", async (msg) => {
-    if (!isOpen) return;
-
+  asrStream.on("transcript", async (result) => {
     try {
-      const data = JSON.parse(msg.toString());
-
-      if (data.type === "Results") {
-        const channel = data.channel;
-        if (!channel?.alternatives?.[0]) return;
+      // The assistant hearing itself is dropped; partial matches count for less
+      const echo = echoGuard.check(result);
+      if (echo.action === "discard") {
+        console.log(`🔁 [ECHO] Dropped "${result.text}" (${(echo.score * 100).toFixed(0)}% match)`);
+        return;
+      }
+      if (echo.action === "weight") {
+        console.log(`🔁 [ECHO] "${result.text}" ${(echo.score * 100).toFixed(0)}% match, confidence ${echo.confidence.toFixed(2)}`);
+        result = { ...result, confidence: echo.confidence };
+      }
 
-        const transcript = channel.alternatives[0].transcript || "";
-        const isFinal = data.is_final || false;
-        const confidence = channel.alternatives[0].confidence || 0;
+      const transcript = result.text;
+      const isFinal = result.isFinal;
+      const confidence = result.confidence;
 
-        // ✅ IMPROVED: Better interrupt handling
-        if (processingAudio && !isFinal && transcript.length > 3) {
-          console.log("\n⛔ [INTERRUPT] User speaking detected\n");
+      // Speech over a reply interrupts it only if the session's barge-in policy agrees
+      bargeIn.onTranscript(result);
 
-          // Cancel current TTS
-          if (currentTTSController) {
-            console.log("🛑 [INTERRUPT] Aborting TTS");
-            currentTTSController.abort();
-            currentTTSController = null;
-          }
+      if (confidence < 0.5 && transcript.length < 3) return;
 
-          // Stop audio playback on client
-          try {
-            clientWs.send(JSON.stringify({ type: "stop_audio" }));
-          } catch (e) {}
-
-          processingAudio = false;
-          
-          // Clear any pending transcript timeout
-          if (transcriptTimeout) {
-            clearTimeout(transcriptTimeout);
-            transcriptTimeout = null;
-          }
+      if (transcript?.trim()) {
+        if (!isFinal) {
+          endOfTurn.onTranscript(result);
+          clientWs.send(
+            JSON.stringify({
+              type: "transcript",
+              text: transcript,
+              isFinal: false,
+              turnId: conversation.upcomingTurnId(),
+            })
+          );
+          return;
         }
 
-        if (confidence < 0.5 && transcript.length < 3) return;
-
-        if (transcript?.trim()) {
-          if (!isFinal) {
-            clientWs.send(
-              JSON.stringify({
-                type: "transcript",
-                text: transcript,
-                isFinal: false,
-              })
-            );
-            return;
-          }
+        if (isFinal && transcript.trim().length > 1) {
+          console.log(`\n🎤 [SPEECH] "${transcript}" (${(confidence * 100).toFixed(1)}%)`);
 
-          if (isFinal && transcript.trim().length > 1) {
-            console.log(`\n🎤 [SPEECH] "${transcript}" (${(confidence * 100).toFixed(1)}%)`);
-
-            if (transcriptTimeout) clearTimeout(transcriptTimeout);
-
-            clientWs.send(
-              JSON.stringify({
-                type: "transcript",
-                text: transcript,
-                isFinal: true,
-              })
-            );
-
-            // Detect name
-            const nameMatch = transcript.match(
-              /(?:my name is|i am|i'm|call me)\s+([A-Za-z]+)/i
-            );
-            if (nameMatch && nameMatch[1].length > 2) {
-              memory.userName = nameMatch[1];
-              console.log(`👤 [MEMORY] Name: ${memory.userName}`);
-            }
-
-            const shouldProcess =
-              data.speech_final ||
-              transcript.length > 8 ||
-              transcript.includes("?") ||
-              confidence > 0.9;
-
-            if (shouldProcess && !processingAudio) {
-              transcriptTimeout = setTimeout(
-                async () => {
-                  if (processingAudio) return;
-                  processingAudio = true;
-
-                  console.log(`\n⏳ [PROCESSING] Starting AI pipeline`);
-                  clientWs.send(
-                    JSON.stringify({ type: "status", status: "Thinking..." })
-                  );
-
-                  try {
-                    // Build memory context with location and date
-                    let memoryContext = "";
-                    if (memory.userName) {
-                      memoryContext += `User: ${memory.userName}\n`;
-                    }
-                    if (memory.location) {
-                      memoryContext += `Location: ${memory.location}\n`;
-                    }
-                    if (memory.date) {
-                      memoryContext += `Date: ${memory.date}\n`;
-                    }
-                    if (memory.lastUserMessages.length) {
-                      const recent = memory.lastUserMessages.slice(-2).join(" | ");
-                      memoryContext += `Recent: ${recent.substring(0, 150)}\n`;
-                    }
-
-                    let documentContent = null;
-                    if (session?.document?.content) {
-                      documentContent = session.document.content;
-                      console.log(`📄 [DOCUMENT] Using: ${session.document.filename}`);
-                    }
-
-                    currentTTSController = new AbortController();
-
-                    const aiReply = await routeRequest(
-                      transcript,
-                      memoryContext,
-                      documentContent,
-                      currentTTSController.signal
-                    );
-
-                    console.log(`💬 [AI] ${aiReply.length} chars`);
-
-                    updateMemory(transcript, aiReply);
-
-                    clientWs.send(
-                      JSON.stringify({
-                        type: "reply",
-                        text: aiReply,
-                      })
-                    );
-                    clientWs.send(
-                      JSON.stringify({ type: "status", status: "Speaking..." })
-                    );
-
-                    const voiceId = session?.voiceId || "en-US-terrell";
-
-                    await murfStreamSentences(aiReply, clientWs, {
-                      signal: currentTTSController.signal,
-                      voiceId: voiceId,
-                    });
-
-                    currentTTSController = null;
-
-                    console.log(`✅ [CYCLE] Complete\n`);
-
-                    clientWs.send(
-                      JSON.stringify({ type: "status", status: "Listening..." })
-                    );
-                    processingAudio = false;
-                  } catch (err) {
-                    if (err.name === "AbortError") {
-                      console.log(`⛔ [ABORT] Interrupted by user\n`);
-                    } else {
-                      console.error(`❌ [ERROR] ${err.message}`);
-                      clientWs.send(
-                        JSON.stringify({
-                          type: "error",
-                          message: "Processing error",
-                        })
-                      );
-                    }
-                    clientWs.send(
-                      JSON.stringify({ type: "status", status: "Listening..." })
-                    );
-                    processingAudio = false;
-                    currentTTSController = null;
-                  }
-                },
-                data.speech_final ? 50 : 200
-              );
-            }
-          }
+          clientWs.send(
+            JSON.stringify({
+              type: "transcript",
+              text: transcript,
+              isFinal: true,
+              turnId: conversation.upcomingTurnId(),
+            })
+          );
+
+          conversation.detectName(transcript);
+          endOfTurn.onTranscript(result);
         }
       }
     } catch (e) {
-      console.error(`❌ [DEEPGRAM] ${e.message}`);
+      console.error(`❌ [ASR] ${e.message}`);
     }
   });
 
-  dgWs.on("close", (code) => {
-    isOpen = false;
-    if (keepAliveInterval) clearInterval(keepAliveInterval);
-    if (transcriptTimeout) clearTimeout(transcriptTimeout);
-    console.log(`\n❌ [DEEPGRAM] Closed: ${code}\n`);
+  // Voice activity during playback may be the reply itself; then only words (above) can duck
+  asrStream.on("speech_started", () => {
+    if (echoGuard.isAudible()) return;
+    bargeIn.onSpeechStarted();
+    endOfTurn.onSpeechStarted();
   });
 
-  dgWs.on("error", (e) => {
-    isOpen = false;
-    console.error(`\n❌ [DEEPGRAM] ${e.message}\n`);
+  asrStream.on("utterance_end", () => endOfTurn.onUtteranceEnd());
+
+  asrStream.on("close", () => endOfTurn.reset());
+
+  // Errors are logged by the provider; the client only needs to know recognition stopped
+  asrStream.on("error", (err) => {
+    sendError(clientWs, "ASR_FAILED", `Speech recognition error: ${err?.message || err}`);
   });
 
   return {
-    dgWs,
-    isOpen: () => isOpen,
-    cancelCurrentTTS: () => {
-      if (currentTTSController) {
-        console.log("🛑 [MANUAL-STOP] Canceling TTS");
-        currentTTSController.abort();
-        currentTTSController = null;
-      }
-    },
+    asrStream,
+    isOpen: () => asrStream.isOpen(),
   };
 }
 
 wss.on("connection", (ws) => {
   let sessionId = null;
-  let dgConnection = null;
+  let identity = null;
+  let asrConnection = null;
+  let conversation = null;
+  let protocolVersion = protocol.MIN_PROTOCOL_VERSION;
+  // Streamed reply audio ("pcm" / "opus") agreed in the handshake; null sends whole chunks
+  let audioStream = null;
+
+  // With auth on, the handshake fixes the session for the whole connection
+  const useSession = (requested) => {
+    if (requested && requested !== sessionId) {
+      if (auth.enabled) {
+        throw new AuthError("FORBIDDEN", "Session is fixed by the handshake");
+      }
+      return requested;
+    }
+    return sessionId;
+  };
+
+  const getConversation = () => {
+    if (!conversation || conversation.sessionId !== sessionId) {
+      conversation?.cancel();
+      const sid = sessionId;
+      conversation = createConversation(ws, sid, {
+        getSession: () => getOrCreateSession(sid),
+        sessionStore,
+        limiter,
+        userId: identity?.userId,
+        echoGuard,
+        playback,
+        framedAudio: () => protocolVersion >= protocol.FRAMED_AUDIO_VERSION,
+        audioStream: () => audioStream,
+        speech: speechSettings,
+        canSpeak: ttsReady,
+        retrieval: retrievalSettings,
+        idleStatus: () => (asrConnection?.isOpen() ? "Listening..." : "Connected - Ready"),
+      });
+    }
+    return conversation;
+  };
+
+  const closeASR = () => {
+    if (asrConnection?.isOpen()) {
+      try {
+        asrConnection.asrStream.close();
+      } catch (e) {}
+    }
+    asrConnection = null;
+  };
+
+  const echoGuard = createEchoGuard(echoSettings);
+  const playback = createPlaybackTracker();
+
+  const bargeIn = createBargeIn({
+    getSettings: () => resolveBargeInSettings(bargeInDefaults, sessionStore.get(sessionId)?.bargeIn),
+    isSpeaking: () => conversation?.isSpeaking() || false,
+    onDuck: () => ws.send(JSON.stringify({ type: "duck_audio", active: true })),
+    onRestore: () => ws.send(JSON.stringify({ type: "duck_audio", active: false })),
+    onStop: () => {
+      console.log("🛑 [INTERRUPT] Aborting TTS");
+      const turnId = conversation?.cancel() || null;
+      ws.send(JSON.stringify({ type: "stop_audio", turnId }));
+      echoGuard.onPlaybackStopped();
+    },
+  });
+
+  // Finished utterances become turns; "okay" and "uh-huh" over a reply are not questions
+  const endOfTurn = createEndOfTurn({
+    getSettings: () => resolveEndOfTurnSettings(endOfTurnDefaults, sessionStore.get(sessionId)?.endOfTurn),
+    onEndOfTurn: (text) => {
+      const turns = getConversation();
+      const { backchannels } = resolveBargeInSettings(bargeInDefaults, sessionStore.get(sessionId)?.bargeIn);
+      if (turns.isBusy() && isBackchannel(text, backchannels)) {
+        console.log(`👂 [UTTERANCE] Ignored "${text}" during the reply (backchannel)`);
+        return;
+      }
+      turns.submitUtterance(text);
+    },
+  });
+
+  const cancelTurn = () => {
+    if (conversation?.cancel()) {
+      console.log("🛑 [MANUAL-STOP] Canceling TTS");
+    }
+  };
 
   console.log(`\n👤 [CLIENT] Connected\n`);
 
   ws.on("message", async (data, isBinary) => {
-    if (isBinary && dgConnection?.isOpen()) {
-      try {
-        dgConnection.dgWs.send(Buffer.from(data));
-      } catch (err) {}
+    // Binary frames are microphone audio; frames sent before the ASR stream opens are dropped
+    if (isBinary) {
+      if (asrConnection?.isOpen()) {
+        const scope = { sessionId, userId: identity?.userId };
+        if (!limiter.charge("asrSeconds", scope, data.length / ASR_BYTES_PER_SECOND).allowed) {
+          console.log(`🚦 [LIMIT] ASR budget used up: ${sessionId}`);
+          closeASR();
+          ws.send(JSON.stringify({ type: "status", status: "Stopped" }));
+          getConversation().notifyLimit("asrSeconds", limiter.check("asrSeconds", scope).retryAfterMs);
+          return;
+        }
+        try {
+          asrConnection.asrStream.send(Buffer.from(data));
+        } catch (err) {}
+      }
       return;
     }
 
+    let msg;
     try {
-      const msg = JSON.parse(data.toString());
+      msg = JSON.parse(data.toString());
+    } catch (e) {
+      sendError(ws, "BAD_JSON");
+      return;
+    }
+
+    const check = protocol.validateMessage("client", msg);
+    if (!check.ok) {
+      console.warn(`⚠️ [PROTOCOL] ${check.message}`);
+      sendError(ws, check.code, check.message);
+      return;
+    }
+
+    if (auth.enabled && !identity && msg.type !== "handshake") {
+      sendError(ws, "UNAUTHORIZED", "Send a handshake with a valid token first");
+      return;
+    }
 
+    try {
       if (msg.type === "handshake") {
-        sessionId = msg.sessionId;
-        getOrCreateSession(sessionId);
-        console.log(`🤝 [HANDSHAKE] ${sessionId}`);
+        const version = protocol.negotiateVersion(msg.protocolVersion);
+        if (version === null) {
+          sendError(
+            ws,
+            "UNSUPPORTED_VERSION",
+            `Protocol version ${msg.protocolVersion} not supported (server speaks ${protocol.MIN_PROTOCOL_VERSION}-${protocol.PROTOCOL_VERSION})`
+          );
+          ws.close(1002, "Unsupported protocol version");
+          return;
+        }
 
-        if (msg.voice) {
-          const session = sessionData.get(sessionId);
-          if (session) {
-            session.voiceId = msg.voice;
+        if (auth.enabled) {
+          identity = auth.authenticate(msg.token);
+          if (!identity) {
+            console.warn("🚫 [AUTH] WebSocket handshake rejected");
+            sendError(ws, "UNAUTHORIZED");
+            ws.close(4401, "Unauthorized");
+            return;
           }
         }
 
+        const requestedSession = resolveSessionId(identity, msg.sessionId);
+        if (!requestedSession) {
+          sendError(ws, "NO_SESSION");
+          return;
+        }
+
+        const { session, restored } = loadSession(requestedSession, identity);
+        sessionId = requestedSession;
+        protocolVersion = version;
+        // Parts of a chunk are told apart by their frame header, so streaming needs framed audio
+        audioStream = version >= protocol.FRAMED_AUDIO_VERSION ? pickStreamEncoding(ttsProvider, msg.audioStream) : null;
+        console.log(`🤝 [HANDSHAKE] ${sessionId} v${version}${audioStream ? ` ${audioStream} stream` : ""}${identity ? ` user=${identity.userId}` : ""}${restored ? " (restored)" : ""}`);
+
+        if (msg.voice) {
+          session.voiceId = msg.voice;
+          sessionStore.save(sessionId);
+        }
+        if (msg.playbackAcks) playback.enableAcks();
+
         ws.send(
           JSON.stringify({
             type: "session_confirmed",
             sessionId: sessionId,
+            protocolVersion: version,
+            audioStream,
+            userId: identity?.userId || null,
+            restored,
+            documents: listDocuments(session),
+            // The latest upload, for clients from before the document library
+            document: session.documents.length
+              ? { filename: session.documents.at(-1).filename, size: session.documents.at(-1).size }
+              : null,
+            bargeIn: resolveBargeInSettings(bargeInDefaults, session.bargeIn),
+            endOfTurn: resolveEndOfTurnSettings(endOfTurnDefaults, session.endOfTurn),
           })
         );
+
+        if (restored) {
+          ws.send(
+            JSON.stringify({
+              type: "memory_update",
+              memory: memorySnapshot(session.memory),
+            })
+          );
+        }
         return;
       }
 
       if (msg.type === "start_live") {
-        if (msg.sessionId) {
-          sessionId = msg.sessionId;
-        }
+        sessionId = useSession(msg.sessionId);
 
         if (!sessionId) {
-          ws.send(
-            JSON.stringify({
-              type: "error",
-              message: "No session ID",
-            })
-          );
+          sendError(ws, "NO_SESSION");
+          return;
+        }
+
+        const listening = limiter.check("asrSeconds", { sessionId, userId: identity?.userId });
+        if (!listening.allowed) {
+          ws.send(JSON.stringify({ type: "status", status: "Stopped" }));
+          getConversation().notifyLimit("asrSeconds", listening.retryAfterMs);
           return;
         }
 
         console.log(`🎙️ [START] ${sessionId}`);
         ws.send(JSON.stringify({ type: "status", status: "Connecting..." }));
-        dgConnection = openDeepgramSocket(ws, sessionId);
+        try {
+          asrConnection = openASRStream(ws, sessionId, getConversation(), bargeIn, echoGuard, endOfTurn);
+        } catch (err) {
+          console.error(`❌ [ASR] ${err.message}`);
+          sendError(ws, "ASR_UNAVAILABLE");
+        }
+        return;
       }
 
       if (msg.type === "stop_live") {
         console.log(`\n🛑 [STOP] ${sessionId}\n`);
-        if (dgConnection?.isOpen()) {
-          try {
-            dgConnection.cancelCurrentTTS();
-            dgConnection.dgWs.close();
-          } catch (e) {}
-        }
-        dgConnection = null;
+        cancelTurn();
+        closeASR();
         ws.send(JSON.stringify({ type: "status", status: "Stopped" }));
+        return;
       }
 
       if (msg.type === "client_stop_tts") {
         console.log(`⛔ [STOP-TTS] ${sessionId}`);
-        if (dgConnection) {
-          dgConnection.cancelCurrentTTS();
+        cancelTurn();
+        ws.send(JSON.stringify({ type: "stop_audio" }));
+        echoGuard.onPlaybackStopped();
+        return;
+      }
+
+      if (msg.type === "audio_played") {
+        playback.onPlayed(msg.seq, msg.complete !== false, msg.playedMs);
+        return;
+      }
+
+      if (msg.type === "text_input") {
+        sessionId = useSession(msg.sessionId);
+
+        if (!sessionId) {
+          sendError(ws, "NO_SESSION");
+          return;
         }
-        try {
-          ws.send(JSON.stringify({ type: "stop_audio" }));
-        } catch (e) {}
+
+        const text = msg.text.trim();
+        if (!text) {
+          sendError(ws, "INVALID_MESSAGE", "text_input: \"text\" is empty");
+          return;
+        }
+
+        const turns = getConversation();
+
+        console.log(`\n⌨️ [TEXT] "${text}"${msg.speak === false ? " (silent)" : ""}`);
+        turns.detectName(text);
+        // A new message replaces whatever is still being answered
+        turns.runTurn(text, { speak: msg.speak !== false, replace: true });
+        return;
       }
 
       if (msg.type === "voice_change") {
         const sid = msg.sessionId || sessionId;
-        if (sid) {
-          const session = getOrCreateSession(sid);
-          session.voiceId = msg.voice;
-          console.log(`🎵 [VOICE] ${msg.voice}`);
-          ws.send(JSON.stringify({ type: "voice_changed", voice: msg.voice }));
+        if (auth.enabled && sid !== sessionId) {
+          throw new AuthError("FORBIDDEN", "Session is fixed by the handshake");
+        }
+        if (!sid) {
+          sendError(ws, "NO_SESSION");
+          return;
         }
+
+        const session = getOrCreateSession(sid);
+        session.voiceId = msg.voice;
+        sessionStore.save(sid);
+        console.log(`🎵 [VOICE] ${msg.voice}`);
+        ws.send(JSON.stringify({ type: "voice_changed", voice: msg.voice }));
+        return;
       }
-    } catch (e) {}
-  });
 
-  ws.on("close", () => {
-    console.log(`\n👋 [CLIENT] Disconnected: ${sessionId || "unknown"}\n`);
+      if (msg.type === "barge_in_config") {
+        sessionId = useSession(msg.sessionId);
+        if (!sessionId) {
+          sendError(ws, "NO_SESSION");
+          return;
+        }
 
-    if (dgConnection) {
-      if (dgConnection.isOpen()) {
+        const session = getOrCreateSession(sessionId);
+        const overrides = { ...session.bargeIn };
+        for (const key of BARGE_IN_SETTINGS) {
+          if (msg[key] !== undefined) overrides[key] = msg[key];
+        }
+        let settings;
         try {
-          dgConnection.cancelCurrentTTS();
-          dgConnection.dgWs.close();
-        } catch (e) {}
+          settings = resolveBargeInSettings(bargeInDefaults, overrides);
+        } catch (err) {
+          sendError(ws, "INVALID_MESSAGE", `barge_in_config: ${err.message}`);
+          return;
+        }
+
+        session.bargeIn = overrides;
+        sessionStore.save(sessionId);
+        console.log(`👂 [BARGE-IN] ${sessionId}: ${settings.mode}`);
+        ws.send(JSON.stringify({ type: "barge_in_changed", bargeIn: settings }));
+        return;
       }
-      dgConnection = null;
+
+      if (msg.type === "end_of_turn_config") {
+        sessionId = useSession(msg.sessionId);
+        if (!sessionId) {
+          sendError(ws, "NO_SESSION");
+          return;
+        }
+
+        const session = getOrCreateSession(sessionId);
+        const overrides = { ...session.endOfTurn };
+        for (const key of END_OF_TURN_SETTINGS) {
+          if (msg[key] !== undefined) overrides[key] = msg[key];
+        }
+        let settings;
+        try {
+          settings = resolveEndOfTurnSettings(endOfTurnDefaults, overrides);
+        } catch (err) {
+          sendError(ws, "INVALID_MESSAGE", `end_of_turn_config: ${err.message}`);
+          return;
+        }
+
+        session.endOfTurn = overrides;
+        sessionStore.save(sessionId);
+        console.log(`🏁 [END-OF-TURN] ${sessionId}: ${settings.silenceMs}/${settings.incompleteSilenceMs}ms`);
+        ws.send(JSON.stringify({ type: "end_of_turn_changed", endOfTurn: settings }));
+      }
+    } catch (err) {
+      if (err instanceof AuthError) {
+        console.warn(`🚫 [AUTH] ${msg.type}: ${err.message}`);
+        sendError(ws, err.code, err.message);
+        return;
+      }
+      console.error(`❌ [WS] ${msg.type}: ${err.message}`);
+      sendError(ws, "INTERNAL");
     }
+  });
+
+  ws.on("close", () => {
+    console.log(`\n👋 [CLIENT] Disconnected: ${sessionId || "unknown"}\n`);
+
+    bargeIn.reset();
+    endOfTurn.reset();
+    cancelTurn();
+    closeASR();
 
     if (sessionId) {
-      setTimeout(() => {
-        if (sessionData.has(sessionId)) {
-          const session = sessionData.get(sessionId);
-          if (Date.now() - session.lastActivity > 5 * 60 * 1000) {
-            sessionData.delete(sessionId);
-            console.log(`🗑️ [CLEANUP] ${sessionId}`);
-          }
-        }
-      }, 5 * 60 * 1000);
+      sessionStore.release(sessionId);
     }
   });
 });
 
 // Cleanup old sessions
 setInterval(() => {
-  const now = Date.now();
-  const timeout = 30 * 60 * 1000;
-  let cleaned = 0;
-
-  for (const [sessionId, session] of sessionData.entries()) {
-    if (now - session.lastActivity > timeout) {
-      sessionData.delete(sessionId);
-      cleaned++;
-    }
-  }
+  const cleaned = sessionStore.sweep();
+  limiter.sweep();
 
   if (cleaned > 0) {
     console.log(`🧹 [CLEANUP] Removed ${cleaned} sessions`);
@@ -620,18 +815,29 @@ server.listen(PORT, () => {
   console.log("=".repeat(70));
   console.log(`📡 WebSocket: ws://localhost:${PORT}`);
   console.log(`📤 Upload: http://localhost:${PORT}/upload`);
+  console.log(`🌐 API: http://localhost:${PORT}/api/{chat,tts,transcribe}`);
   console.log(`💚 Health: http://localhost:${PORT}/health`);
   console.log(`\n🎙️ STACK:`);
   console.log(`   • Creator: Umer Zingu`);
-  console.log(`   • ASR: Deepgram Nova-2`);
-  console.log(`   • TTS: Murf AI`);
-  console.log(`   • AI: Gemini 1.5 + Groq Llama 3.3`);
+  console.log(`   • ASR: ${asrProvider.label}`);
+  console.log(`   • TTS: ${ttsProvider.label}`);
+  console.log(`   • AI: ${llm.describeTiers().join(" | ")}`);
   console.log("=".repeat(70) + "\n");
+
+  if (ttsReady && ttsCache.enabled && ttsCache.settings.warmup) {
+    ttsCache.warmupPhrases()
+      .then(phrases => warmUpCache([FALLBACK_REPLY, ...Object.values(LIMIT_MESSAGES), ...phrases]))
+      .then(({ chunks, added, failed }) => {
+        console.log(`🔥 [TTS-CACHE] Warm-up: ${chunks} chunks, ${added} synthesized${failed ? `, ${failed} failed` : ""}`);
+      })
+      .catch(err => console.error(`❌ [TTS-CACHE] Warm-up failed: ${err.message}`));
+  }
 });
 
 // Graceful shutdown
 function gracefulShutdown(signal) {
   console.log(`\n📴 [SHUTDOWN] ${signal}`);
+  murfStreamSentences.cancelAll();
   
   wss.close(() => {
     console.log("✅ WebSocket closed");
@@ -639,7 +845,8 @@ function gracefulShutdown(signal) {
 
   server.close(() => {
     console.log("✅ Server closed");
-    sessionData.clear();
+    sessionStore.clear();
+    ttsCache.flush();
     process.exit(0);
   });
 
@@ -0,0 +1,328 @@
+// backend/sessionStore.js - Session persistence with TTL policies
+//
+// Two backends share one synchronous API so request handlers can keep mutating
+// plain session objects and call save() afterwards:
+//   memory - sessions live in a Map and vanish on restart (default)
+//   file   - sessions are also written as JSON files and reloaded on demand,
+//            so a returning browser with the same session id gets its context back
+//
+// TTL policies (milliseconds):
+//   idleTtlMs        - session removed after this long without activity
+//   disconnectTtlMs  - after the last socket closes, memory sessions are removed
+//                      and file sessions are dropped from the in-memory cache
+//   documentTtlMs    - uploaded documents dropped after this long (0 = keep); pinned ones are kept
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { readNumber } = require("./utils/env");
+
+const SAVE_DEBOUNCE_MS = 1000;
+
+class MemorySessionStore {
+  constructor(opts = {}) {
+    this.backend = "memory";
+    this.idleTtlMs = opts.idleTtlMs ?? 30 * 60 * 1000;
+    this.disconnectTtlMs = opts.disconnectTtlMs ?? 5 * 60 * 1000;
+    this.documentTtlMs = opts.documentTtlMs ?? 0;
+    this.sessions = new Map();
+    this.releaseTimers = new Map();
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  has(id) {
+    return this.get(id) !== null;
+  }
+
+  get(id) {
+    const session = this.sessions.get(id) || null;
+    if (session && this.isExpired(session, Date.now())) {
+      this.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Existing session (from memory or disk) or a new one from `factory`
+   * @returns {Object} { session, created, restored }
+   */
+  getOrCreate(id, factory) {
+    this.cancelRelease(id);
+
+    const cached = this.get(id);
+    if (cached) return { session: cached, created: false, restored: false };
+
+    const loaded = this.load(id);
+    if (loaded) {
+      this.sessions.set(id, loaded);
+      return { session: loaded, created: false, restored: true };
+    }
+
+    const session = factory();
+    this.sessions.set(id, session);
+    this.save(id);
+    return { session, created: true, restored: false };
+  }
+
+  save() {}
+
+  delete(id) {
+    this.cancelRelease(id);
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Called when a client disconnects; the session is dropped later if nothing touches it
+   */
+  release(id) {
+    this.save(id);
+    this.cancelRelease(id);
+
+    const timer = setTimeout(() => {
+      this.releaseTimers.delete(id);
+      const session = this.sessions.get(id);
+      if (session && Date.now() - session.lastActivity >= this.disconnectTtlMs) {
+        this.evict(id);
+      }
+    }, this.disconnectTtlMs);
+    timer.unref?.();
+    this.releaseTimers.set(id, timer);
+  }
+
+  cancelRelease(id) {
+    const timer = this.releaseTimers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.releaseTimers.delete(id);
+    }
+  }
+
+  evict(id) {
+    this.delete(id);
+    console.log(`🗑️ [CLEANUP] ${id}`);
+  }
+
+  isExpired(session, now) {
+    return this.idleTtlMs > 0 && now - session.lastActivity > this.idleTtlMs;
+  }
+
+  applyDocumentTtl(session, now) {
+    if (!this.documentTtlMs) return false;
+    const expired = (doc) => now - Date.parse(doc.uploadedAt) > this.documentTtlMs;
+
+    // Sessions saved before the document library
+    if (session.document && expired(session.document)) {
+      console.log(`📄 [SESSION] Document expired: ${session.document.filename}`);
+      session.document = null;
+      return true;
+    }
+
+    const dropped = (session.documents || []).filter(doc => !doc.pinned && expired(doc));
+    if (!dropped.length) return false;
+
+    for (const doc of dropped) console.log(`📄 [SESSION] Document expired: ${doc.filename}`);
+    session.documents = session.documents.filter(doc => !dropped.includes(doc));
+    return true;
+  }
+
+  /**
+   * Apply TTL policies; returns how many sessions were removed
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [id, session] of this.sessions.entries()) {
+      if (this.isExpired(session, now)) {
+        this.delete(id);
+        removed++;
+      } else if (this.applyDocumentTtl(session, now)) {
+        this.save(id);
+      }
+    }
+    return removed;
+  }
+
+  load() {
+    return null;
+  }
+
+  flush() {}
+
+  clear() {
+    for (const id of [...this.releaseTimers.keys()]) this.cancelRelease(id);
+    this.sessions.clear();
+  }
+
+  stats() {
+    return {
+      backend: this.backend,
+      active: this.sessions.size,
+    };
+  }
+}
+
+class FileSessionStore extends MemorySessionStore {
+  constructor(opts = {}) {
+    super({ idleTtlMs: 7 * 24 * 60 * 60 * 1000, ...opts });
+    this.backend = "file";
+    this.dir = opts.dir || path.join(__dirname, "../data/sessions");
+    this.saveTimers = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // Session ids come from browsers; anything unusual is hashed before touching the disk
+  fileFor(id) {
+    const safe = /^[A-Za-z0-9_-]{1,100}$/.test(id)
+      ? id
+      : "h_" + crypto.createHash("sha256").update(String(id)).digest("hex");
+    return path.join(this.dir, `${safe}.json`);
+  }
+
+  load(id) {
+    const file = this.fileFor(id);
+    if (!fs.existsSync(file)) return null;
+
+    try {
+      const session = JSON.parse(fs.readFileSync(file, "utf8"));
+      const now = Date.now();
+
+      if (this.isExpired(session, now)) {
+        fs.unlinkSync(file);
+        return null;
+      }
+      if (this.applyDocumentTtl(session, now)) this.writeNow(id, session);
+
+      console.log(`💾 [SESSION] Restored from disk: ${id}`);
+      return session;
+    } catch (err) {
+      console.error(`❌ [SESSION] Unreadable ${path.basename(file)}: ${err.message}`);
+      return null;
+    }
+  }
+
+  save(id) {
+    if (this.saveTimers.has(id)) return;
+
+    const timer = setTimeout(() => {
+      this.saveTimers.delete(id);
+      const session = this.sessions.get(id);
+      if (session) this.writeNow(id, session);
+    }, SAVE_DEBOUNCE_MS);
+    timer.unref?.();
+    this.saveTimers.set(id, timer);
+  }
+
+  writeNow(id, session) {
+    const file = this.fileFor(id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(session));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error(`❌ [SESSION] Save failed for ${id}: ${err.message}`);
+    }
+  }
+
+  delete(id) {
+    this.cancelSave(id);
+    super.delete(id);
+
+    const file = this.fileFor(id);
+    if (fs.existsSync(file)) {
+      try {
+        fs.unlinkSync(file);
+      } catch (e) {}
+    }
+  }
+
+  cancelSave(id) {
+    const timer = this.saveTimers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.saveTimers.delete(id);
+    }
+  }
+
+  // Disconnected sessions leave memory but stay on disk until their idle TTL
+  evict(id) {
+    const session = this.sessions.get(id);
+    this.cancelSave(id);
+    if (session) this.writeNow(id, session);
+    this.sessions.delete(id);
+    console.log(`💤 [SESSION] Unloaded: ${id}`);
+  }
+
+  sweep() {
+    let removed = super.sweep();
+    const now = Date.now();
+
+    // Sessions that were never reloaded after a restart only exist on disk
+    const cached = new Set([...this.sessions.keys()].map(id => path.basename(this.fileFor(id))));
+    for (const name of fs.readdirSync(this.dir)) {
+      if (!name.endsWith(".json") || cached.has(name)) continue;
+      const file = path.join(this.dir, name);
+
+      try {
+        const stat = fs.statSync(file);
+        if (this.idleTtlMs > 0 && now - stat.mtimeMs > this.idleTtlMs) {
+          fs.unlinkSync(file);
+          removed++;
+        }
+      } catch (e) {}
+    }
+    return removed;
+  }
+
+  flush() {
+    for (const id of [...this.saveTimers.keys()]) {
+      this.cancelSave(id);
+      const session = this.sessions.get(id);
+      if (session) this.writeNow(id, session);
+    }
+  }
+
+  clear() {
+    this.flush();
+    super.clear();
+  }
+
+  stats() {
+    let persisted = 0;
+    try {
+      persisted = fs.readdirSync(this.dir).filter(n => n.endsWith(".json")).length;
+    } catch (e) {}
+
+    return { ...super.stats(), persisted };
+  }
+}
+
+/**
+ * Store selected by SESSION_STORE (memory | file)
+ */
+function createSessionStore() {
+  const backend = (process.env.SESSION_STORE || "memory").toLowerCase();
+  const opts = {
+    idleTtlMs: readNumber("SESSION_TTL_MS"),
+    disconnectTtlMs: readNumber("SESSION_DISCONNECT_TTL_MS"),
+    documentTtlMs: readNumber("SESSION_DOCUMENT_TTL_MS"),
+    dir: process.env.SESSION_STORE_DIR ? path.resolve(process.env.SESSION_STORE_DIR) : undefined,
+  };
+  for (const key of Object.keys(opts)) {
+    if (opts[key] === undefined) delete opts[key];
+  }
+
+  if (backend === "memory") return new MemorySessionStore(opts);
+  if (backend === "file") return new FileSessionStore(opts);
+  throw new Error(`Unknown SESSION_STORE "${backend}" (available: memory, file)`);
+}
+
+module.exports = {
+  createSessionStore,
+  MemorySessionStore,
+  FileSessionStore,
+};
@@ -0,0 +1,92 @@
+// backend/tests/api.test.js - REST API calls without a session
+process.env.TTS_PROVIDER = "local";
+process.env.TTS_CACHE = "false";
+// Nothing listens there, so every reply is the router's fallback line
+process.env.LLM_LOCAL_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LLM_FAST = "local:none";
+process.env.LLM_SMART = "local:none";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const createApiRouter = require("../routes/api");
+const { RateLimiter } = require("../rateLimiter");
+
+// An open (auth off) server with the given limits
+async function startApi(limits) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.identity = null;
+    next();
+  });
+  app.use("/api", createApiRouter({
+    getOrCreateSession: () => {
+      throw new Error("no session expected");
+    },
+    newSession: () => ({ documents: [], memory: { messages: [], summary: null } }),
+    sessionStore: {
+      save() {
+        throw new Error("nothing should be stored");
+      },
+    },
+    limiter: new RateLimiter({ session: limits }),
+  }));
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  return { url: `http://127.0.0.1:${server.address().port}/api`, close: () => server.close() };
+}
+
+function post(url, body) {
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+test("an anonymous caller is held to a TTS budget", async () => {
+  const api = await startApi({ ttsChars: 20 });
+  try {
+    const first = await post(`${api.url}/tts`, { text: "Hello there." });
+    assert.strictEqual(first.status, 200);
+
+    const second = await post(`${api.url}/tts`, { text: "Hello again, friend." });
+    assert.strictEqual(second.status, 429);
+    const body = await second.json();
+    assert.strictEqual(body.code, "RATE_LIMITED");
+    assert.strictEqual(body.limit, "ttsChars");
+    assert.ok(second.headers.get("retry-after"));
+  } finally {
+    api.close();
+  }
+});
+
+test("chat without a session is answered without storing one, within the caller's turns", async () => {
+  const api = await startApi({ turns: 1 });
+  try {
+    const first = await post(`${api.url}/chat`, { text: "Hello" });
+    assert.strictEqual(first.status, 200);
+    const body = await first.json();
+    assert.strictEqual(body.sessionId, null);
+    assert.ok(body.reply);
+
+    const second = await post(`${api.url}/chat`, { text: "Hello again" });
+    assert.strictEqual(second.status, 429);
+    assert.strictEqual((await second.json()).limit, "turns");
+  } finally {
+    api.close();
+  }
+});
+
+test("callers without a session or user share a budget per address", () => {
+  const limiter = new RateLimiter({ session: { asrSeconds: 1 } });
+  limiter.charge("asrSeconds", { clientId: "127.0.0.1" }, 5);
+
+  assert.strictEqual(limiter.check("asrSeconds", { clientId: "127.0.0.1" }).allowed, false);
+  assert.strictEqual(limiter.check("asrSeconds", { clientId: "10.0.0.2" }).allowed, true);
+  // A named session has its own budget
+  assert.strictEqual(limiter.check("asrSeconds", { sessionId: "s1", clientId: "127.0.0.1" }).allowed, true);
+});
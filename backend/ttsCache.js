@@ -0,0 +1,258 @@
+// backend/ttsCache.js - Disk-backed LRU cache of synthesized chunks
+//
+// Gyaanchand repeats itself (error lines, limit notices, short answers), and every
+// repeat used to be a new TTS request. Audio is stored under a hash of the provider,
+// its voice configuration, the output format and the normalized text; the least
+// recently used entries are deleted once the cache is over its size limit.
+//   TTS_CACHE=false        - turn it off
+//   TTS_CACHE_DIR          - where the audio files live (data/tts-cache)
+//   TTS_CACHE_MAX_MB       - size limit (100)
+//   TTS_CACHE_WARMUP       - synthesize common phrases at startup (true)
+//   TTS_CACHE_WARMUP_FILE  - more phrases for the warm-up, one per line
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const INDEX_FILE = "index.json";
+const SAVE_DEBOUNCE_MS = 1000;
+// One entry may take at most this share of the cache
+const MAX_ENTRY_SHARE = 0.1;
+// Names of the cache's own files (<sha256>.bin and their partial writes); anything
+// else in the directory is left alone
+const CACHE_FILE = /^[0-9a-f]{64}\.bin(\.\d+\.tmp)?$/;
+
+function normalizeText(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function ttsCacheSettingsFromEnv() {
+  const maxMb = process.env.TTS_CACHE_MAX_MB === undefined || process.env.TTS_CACHE_MAX_MB === ""
+    ? 100
+    : Number(process.env.TTS_CACHE_MAX_MB);
+  if (!Number.isFinite(maxMb) || maxMb <= 0) throw new Error("TTS_CACHE_MAX_MB must be a number > 0");
+
+  const warmupFile = process.env.TTS_CACHE_WARMUP_FILE ? path.resolve(process.env.TTS_CACHE_WARMUP_FILE) : null;
+  if (warmupFile && !fs.statSync(warmupFile, { throwIfNoEntry: false })?.isFile()) {
+    throw new Error(`TTS_CACHE_WARMUP_FILE is not a file: ${warmupFile}`);
+  }
+
+  return {
+    enabled: process.env.TTS_CACHE !== "false",
+    dir: process.env.TTS_CACHE_DIR ? path.resolve(process.env.TTS_CACHE_DIR) : path.join(__dirname, "../data/tts-cache"),
+    maxBytes: Math.round(maxMb * 1024 * 1024),
+    warmup: process.env.TTS_CACHE_WARMUP !== "false",
+    warmupFile,
+  };
+}
+
+class TTSCache {
+  constructor(settings) {
+    this.settings = settings;
+    this.enabled = settings.enabled;
+    this.dir = settings.dir;
+    this.maxBytes = settings.maxBytes;
+    // key -> { size, format, durationMs, text }; Map order is least to most recently used
+    this.entries = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.saveTimer = null;
+    // Keys being written; a second set() for one of them is skipped
+    this.writing = new Set();
+
+    if (this.enabled) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.load();
+    }
+  }
+
+  /**
+   * @param {Object} provider - TTS provider; its cacheKey(voiceId) describes the voice settings
+   * @param {string} output - "file" for whole chunks, or the streamed encoding
+   */
+  keyFor(provider, voiceId, text, output) {
+    const voice = provider.cacheKey ? provider.cacheKey(voiceId) : voiceId;
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify([provider.name, voice, output, normalizeText(text)]))
+      .digest("hex");
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${key}.bin`);
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * @returns {Object|null} { audio, format, durationMs } and marks the entry as recently used
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    let audio;
+    try {
+      audio = await fs.promises.readFile(this.fileFor(key));
+    } catch (err) {
+      this.remove(key);
+      this.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    this.scheduleSave();
+    return { audio, format: entry.format, durationMs: entry.durationMs };
+  }
+
+  async set(key, audio, format, meta = {}) {
+    if (!this.enabled || this.entries.has(key) || this.writing.has(key)) return;
+    if (audio.length > this.maxBytes * MAX_ENTRY_SHARE) return;
+
+    const file = this.fileFor(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    this.writing.add(key);
+    try {
+      await fs.promises.writeFile(tmp, audio);
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      console.error(`❌ [TTS-CACHE] Write failed: ${err.message}`);
+      return;
+    } finally {
+      this.writing.delete(key);
+    }
+
+    this.entries.set(key, {
+      size: audio.length,
+      format,
+      durationMs: meta.durationMs || null,
+      text: normalizeText(meta.text).substring(0, 200),
+    });
+    this.bytes += audio.length;
+    this.evict();
+    this.scheduleSave();
+  }
+
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.remove(key);
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    fs.promises.unlink(this.fileFor(key)).catch(() => {});
+  }
+
+  // The index keeps the LRU order across restarts; cache files it does not know are removed
+  load() {
+    let index = [];
+    try {
+      index = JSON.parse(fs.readFileSync(path.join(this.dir, INDEX_FILE), "utf8"));
+    } catch (e) {}
+
+    for (const [key, entry] of Array.isArray(index) ? index : []) {
+      try {
+        entry.size = fs.statSync(this.fileFor(key)).size;
+      } catch (e) {
+        continue;
+      }
+      this.entries.set(key, entry);
+      this.bytes += entry.size;
+    }
+
+    for (const name of fs.readdirSync(this.dir)) {
+      if (!CACHE_FILE.test(name) || this.entries.has(path.basename(name, ".bin"))) continue;
+      try {
+        fs.unlinkSync(path.join(this.dir, name));
+      } catch (e) {}
+    }
+
+    this.evict();
+    if (this.entries.size) {
+      console.log(`💾 [TTS-CACHE] Loaded ${this.entries.size} entries (${(this.bytes / 1024 / 1024).toFixed(1)}MB)`);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DEBOUNCE_MS);
+    this.saveTimer.unref?.();
+  }
+
+  flush() {
+    if (!this.enabled) return;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const file = path.join(this.dir, INDEX_FILE);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify([...this.entries]));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error(`❌ [TTS-CACHE] Index save failed: ${err.message}`);
+    }
+  }
+
+  // Extra warm-up phrases from TTS_CACHE_WARMUP_FILE
+  // Phrases from TTS_CACHE_WARMUP_FILE; an unreadable file only skips them
+  async warmupPhrases() {
+    if (!this.settings.warmupFile) return [];
+    try {
+      const text = await fs.promises.readFile(this.settings.warmupFile, "utf8");
+      return text.split("\n").map(normalizeText).filter(Boolean);
+    } catch (err) {
+      console.warn(`⚠️ [TTS-CACHE] Warm-up file skipped: ${err.message}`);
+      return [];
+    }
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      size: `${(this.bytes / 1024 / 1024).toFixed(2)} MB`,
+      maxSize: `${(this.maxBytes / 1024 / 1024).toFixed(0)} MB`,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+    };
+  }
+}
+
+let instance = null;
+
+/**
+ * Shared cache configured from the TTS_CACHE_* variables
+ * @throws {Error} On invalid settings (first call only)
+ */
+function getTTSCache() {
+  if (!instance) instance = new TTSCache(ttsCacheSettingsFromEnv());
+  return instance;
+}
+
+module.exports = {
+  getTTSCache,
+  TTSCache,
+  ttsCacheSettingsFromEnv,
+  normalizeText,
+};
@@ -1,37 +1,25 @@
 // backend/ttsStreamSentences.js - IMPROVED: Natural sentence detection
-const axios = require("axios");
 const path = require("path");
 require("dotenv").config({ path: path.join(__dirname, ".env") });
+const { getTTSProvider, pickStreamEncoding, isAbortError } = require("./providers/tts");
+const { encodeWav, decodeWav } = require("./providers/tts/wav");
+const { audioDurationMs } = require("./echoGuard");
+const { getTTSCache } = require("./ttsCache");
+const { createError, encodeAudioFrame } = require("../protocol");
+const { readInteger } = require("./utils/env");
 
-const VOICE_CONFIGS = {
-  'en-US-terrell': { id: 'en-US-terrell', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
-  'en-US-michael': { id: 'en-US-michael', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
-  'en-US-wayne': { id: 'en-US-wayne', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
-  'en-US-ryan': { id: 'en-US-ryan', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
-  'en-US-natalie': { id: 'en-US-natalie', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
-  'en-US-lily': { id: 'en-US-lily', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
-  'en-US-claire': { id: 'en-US-claire', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
-  'en-GB-william': { id: 'en-GB-william', style: 'Conversational', speed: 0, pitch: 0, variation: 1 },
-  'en-GB-emma': { id: 'en-GB-emma', style: 'Conversational', speed: 0, pitch: 0, variation: 1 }
+const MIN_CHUNK_SIZE = 80;  // Minimum characters per chunk
+const MAX_CHUNK_SIZE = 160; // Maximum characters per chunk
+const IDEAL_CHUNK_SIZE = 120; // Target size
+// See speechSettingsFromEnv
+const DEFAULT_SETTINGS = {
+  prefetch: 3,            // Chunks synthesized ahead of the one being sent
+  retries: 2,             // Extra attempts with the session's voice
+  retryDelayMs: 300,      // First backoff; doubles per retry, with jitter
+  fallbackVoice: null,    // Voice of the same provider tried once after the retries
+  fallbackProvider: null, // Provider tried once after that, with its default voice
 };
 
-// Add at top of file
-let lastMurfCall = 0;
-const MURF_RATE_LIMIT_MS = 100; // Minimum time between calls
-
-async function generateChunkTTS(text, voiceId, signal) {
-  // ✅ FIX: Rate limiting
-  const now = Date.now();
-  const timeSinceLastCall = now - lastMurfCall;
-  if (timeSinceLastCall < MURF_RATE_LIMIT_MS) {
-    await new Promise(r => setTimeout(r, MURF_RATE_LIMIT_MS - timeSinceLastCall));
-  }
-  lastMurfCall = Date.now();
-  
-  const config = VOICE_CONFIGS[voiceId] || VOICE_CONFIGS['en-US-terrell'];
-  // ... rest of function
-}
-
 function sanitizeForTTS(text) {
   if (!text) return "";
   
@@ -75,18 +63,29 @@ function splitIntoSentences(text) {
   return sentences.filter(s => s.length > 0);
 }
 
+// Sentences that can no longer change while more text is streaming in.
+// The last one stays open until a following capitalised word proves it ended.
+function takeCompleteSentences(buffer) {
+  const boundary = /([.!?]+)\s+(?=[A-Z])/g;
+  let end = 0;
+  let match;
+
+  while ((match = boundary.exec(buffer)) !== null) {
+    end = match.index + match[0].length;
+  }
+
+  if (end === 0) return { sentences: [], rest: buffer };
+  return { sentences: splitIntoSentences(buffer.substring(0, end)), rest: buffer.substring(end) };
+}
+
 // ✅ IMPROVED: Smart chunking with natural breaks
-function splitIntoChunks(text) {
+function splitIntoChunks(text, quiet = false) {
   text = sanitizeForTTS(text);
   if (!text) return [];
 
   const sentences = splitIntoSentences(text);
   const chunks = [];
   let currentChunk = "";
-  
-  const MIN_CHUNK_SIZE = 80;  // Minimum characters per chunk
-  const MAX_CHUNK_SIZE = 160; // Maximum characters per chunk
-  const IDEAL_CHUNK_SIZE = 120; // Target size
 
   for (let i = 0; i < sentences.length; i++) {
     const sentence = sentences[i];
@@ -144,6 +143,7 @@ function splitIntoChunks(text) {
     chunks.push(currentChunk.trim());
   }
   
+  if (quiet) return chunks;
   console.log(`📝 [TTS-CHUNKING] Split into ${chunks.length} natural chunks`);
   chunks.forEach((chunk, i) => {
     console.log(`   [${i + 1}/${chunks.length}] ${chunk.length} chars: "${chunk.substring(0, 50)}..."`);
@@ -152,222 +152,636 @@ function splitIntoChunks(text) {
   return chunks;
 }
 
-async function generateChunkTTS(text, voiceId, signal) {
-  const config = VOICE_CONFIGS[voiceId] || VOICE_CONFIGS['en-US-terrell'];
-  
-  console.log(`🎙️ [MURF-API] Voice: ${config.id} | ${text.length} chars`);
-  
-  const payload = {
-    voice_id: config.id,
-    style: config.style,
-    text: text,
-    model: "FALCON",
-    format: "MP3",
-    sampleRate: 24000,
-    channelType: "MONO",
-    speed: config.speed,
-    pitch: config.pitch,
-    variation: config.variation,
-    pauseSettings: {
-      sentencePause: 420,  // Slightly longer pauses for natural flow
-      commaPause: 220
-    }
-  };
+// The chunks a text becomes when a SpeechStream gets it in one push before end():
+// the complete sentences are flushed together, the last one on its own
+function replyChunks(text) {
+  const { sentences, rest } = takeCompleteSentences(text);
+  return [sentences, splitIntoSentences(rest.trim())]
+    .map(group => group.map(sanitizeForTTS).filter(Boolean).join(" "))
+    .filter(Boolean)
+    .flatMap(group => splitIntoChunks(group, true));
+}
 
-  const startTime = Date.now();
-
-  try {
-    const resp = await axios.post(
-      "https://global.api.murf.ai/v1/speech/stream",
-      payload,
-      {
-        headers: { 
-          "api-key": process.env.MURF_API_KEY, 
-          "Content-Type": "application/json" 
-        },
-        responseType: "arraybuffer",
-        timeout: 30000, // Increased timeout for longer chunks
-        signal
-      }
-    );
+async function generateChunkTTS(text, voiceId, signal, provider = getTTSProvider()) {
+  const cache = getTTSCache();
+  const key = cache.keyFor(provider, voiceId, text, "file");
+  const cached = await cache.get(key);
+  if (cached) {
+    console.log(`💾 [TTS-CACHE] Hit: "${text.substring(0, 40)}..."`);
+    return { audio: cached.audio, format: cached.format };
+  }
 
-    const elapsed = Date.now() - startTime;
-    const sizeKB = (resp.data.byteLength / 1024).toFixed(1);
-    console.log(`✅ [MURF-API] Generated ${sizeKB}KB in ${elapsed}ms`);
+  const result = await provider.synthesize(text, { voiceId, signal });
+  await cache.set(key, result.audio, result.format, { text });
+  return result;
+}
 
-    return resp.data;
-    
-  } catch (error) {
-    const elapsed = Date.now() - startTime;
-    
-    if (axios.isCancel && axios.isCancel(error)) {
-      console.log(`⛔ [MURF-API] Canceled after ${elapsed}ms`);
-      throw error;
+/**
+ * Streamed synthesis through the cache: a hit comes back as one part, and a
+ * stream that runs to the end is stored as the concatenation of its parts
+ */
+async function* streamChunkTTS(text, voiceId, signal, provider, encoding) {
+  const cache = getTTSCache();
+  const key = cache.keyFor(provider, voiceId, text, encoding);
+  const cached = await cache.get(key);
+  if (cached) {
+    console.log(`💾 [TTS-CACHE] Hit: "${text.substring(0, 40)}..."`);
+    yield { audio: cached.audio, format: cached.format, durationMs: cached.durationMs };
+    return;
+  }
+
+  const parts = [];
+  for await (const part of provider.synthesizeStream(text, { voiceId, signal, encoding })) {
+    parts.push(part);
+    yield part;
+  }
+  if (!signal?.aborted) await cacheParts(cache, key, parts, text);
+}
+
+async function cacheParts(cache, key, parts, text) {
+  if (!parts.length) return;
+  const durationMs = parts.reduce((total, part) => total + (part.durationMs || 0), 0);
+  await cache.set(key, Buffer.concat(parts.map(part => part.audio)), parts[0].format, { text, durationMs });
+}
+
+/**
+ * Synthesize phrases the assistant says word for word (notices, error lines) into
+ * the cache, as whole chunks and in every streamed encoding of the provider.
+ * Chunks that are cached already are skipped; failures are counted, not thrown.
+ * @returns {Object} { chunks, added, failed }
+ */
+async function warmUpCache(phrases, opts = {}) {
+  const cache = getTTSCache();
+  const provider = getTTSProvider();
+  const voiceId = opts.voiceId || provider.defaultVoice;
+  const outputs = ["file", ...(provider.synthesizeStream ? provider.streamEncodings || [] : [])];
+  const chunks = [...new Set(phrases.flatMap(replyChunks))];
+  let added = 0;
+  let failed = 0;
+
+  for (const chunk of chunks) {
+    for (const output of outputs) {
+      const key = cache.keyFor(provider, voiceId, chunk, output);
+      if (!cache.enabled || cache.has(key)) continue;
+      try {
+        if (output === "file") {
+          const { audio, format } = await provider.synthesize(chunk, { voiceId });
+          await cache.set(key, audio, format, { text: chunk });
+        } else {
+          const parts = [];
+          for await (const part of provider.synthesizeStream(chunk, { voiceId, encoding: output })) parts.push(part);
+          await cacheParts(cache, key, parts, chunk);
+        }
+        added++;
+      } catch (err) {
+        failed++;
+      }
     }
-    
-    console.error(`❌ [MURF-ERROR] ${error.message} (${elapsed}ms)`);
-    throw error;
   }
+
+  return { chunks: chunks.length, added, failed };
 }
 
-async function murfStreamSentences(text, ws, opts = {}) {
-  const signal = opts.signal;
-  const voiceId = opts.voiceId || 'en-US-terrell';
-
-  console.log(`\n${'='.repeat(70)}`);
-  console.log(`🎙️ [TTS-STREAM] Starting`);
-  console.log(`   Voice: ${voiceId}`);
-  console.log(`   Text: ${text.length} chars, ${text.split(' ').length} words`);
-  console.log(`${'='.repeat(70)}`);
-
-  try {
-    if (!text || !text.trim()) {
-      console.log("⚠️ [TTS-WARNING] Empty text");
-      return;
+// Client errors (bad text, bad key) fail the same way on every retry
+function isRetryable(err) {
+  const status = err?.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
     }
+  });
+}
 
-    text = sanitizeForTTS(text);
-    const chunks = splitIntoChunks(text);
+/**
+ * Incremental TTS for a reply that is still being generated.
+ * push() text deltas as they arrive; every sentence is handed to synthesis as
+ * soon as it closes, and end() flushes the tail. Up to `prefetch` chunks are
+ * synthesized at once and sent in order. A chunk that fails is retried, then
+ * tried with the fallback voice and provider; if it still cannot be voiced the
+ * client gets its text in a tts_skipped message. `done` settles once the last
+ * chunk has been sent (or the signal aborted).
+ */
+class SpeechStream {
+  constructor(ws, opts = {}) {
+    this.ws = ws;
+    this.signal = opts.signal;
+    this.voiceId = opts.voiceId || getTTSProvider().defaultVoice;
+    this.onSentence = opts.onSentence || null;
+    // Called with each chunk before synthesis; returning false stops the voice
+    this.beforeChunk = opts.beforeChunk || null;
+    // Called with (text, audio, format) after each chunk is sent
+    this.onChunkSent = opts.onChunkSent || null;
+    // Protocol v2 clients get each chunk wrapped with a header naming its turn
+    this.turnId = opts.turnId || null;
+    this.framed = opts.framed === true;
+    // "pcm" or "opus": chunks go out part by part while they are synthesized (needs framed)
+    this.stream = this.framed ? opts.stream || null : null;
+    this.spokenChars = 0;
 
-    if (chunks.length === 0) {
-      console.log("⚠️ [TTS-WARNING] No chunks after splitting");
-      return;
+    this.buffer = "";
+    this.pending = [];
+    this.queue = [];
+    // Chunks being synthesized, in send order; at most `prefetch` at a time
+    this.inFlight = [];
+    this.settings = { ...DEFAULT_SETTINGS, ...opts.settings };
+    this.prefetch = this.settings.prefetch;
+    this.started = 0;
+    this.ended = false;
+    this.flushedAny = false;
+    this.wake = null;
+
+    this.totalChunks = 0;
+    this.totalChars = 0;
+    this.sent = 0;
+    this.totalBytes = 0;
+    this.interrupted = false;
+    this.muted = false;
+    this.startTime = Date.now();
+    this.firstAudioAt = null;
+    // When the audio sent so far should finish playing, and the silences heard between chunks
+    this.playbackEnd = 0;
+    this.gaps = [];
+    this.skipped = 0;
+
+    this.signal?.addEventListener("abort", () => this.notify());
+
+    console.log(`\n${'='.repeat(70)}`);
+    console.log(`🎙️ [TTS-STREAM] Starting`);
+    console.log(`   Voice: ${this.voiceId} | prefetch ${this.prefetch}`);
+    console.log(`${'='.repeat(70)}`);
+
+    this.done = this.run();
+  }
+
+  push(delta) {
+    if (this.ended || !delta) return;
+
+    this.buffer += delta;
+    const { sentences, rest } = takeCompleteSentences(this.buffer);
+    this.buffer = rest;
+    this.addSentences(sentences);
+  }
+
+  end() {
+    if (this.ended) return;
+
+    const tail = this.buffer;
+    this.buffer = "";
+    this.addSentences(splitIntoSentences(tail.trim()));
+    this.ended = true;
+    this.flush();
+  }
+
+  addSentences(sentences) {
+    for (const sentence of sentences) {
+      if (this.onSentence) this.onSentence(sentence);
+      const clean = sanitizeForTTS(sentence);
+      if (clean) this.pending.push(clean);
     }
 
-    let sent = 0;
-    let interrupted = false;
-    const totalStartTime = Date.now();
-    let totalBytes = 0;
+    // The first sentence goes out alone so audio starts as early as possible;
+    // after that, sentences are grouped into normal-sized chunks
+    const pendingLength = this.pending.join(" ").length;
+    if (pendingLength > 0 && (!this.flushedAny || pendingLength >= MIN_CHUNK_SIZE)) {
+      this.flush();
+    }
+  }
 
-    // ✅ IMPROVED: Parallel generation for first 2 chunks (faster start)
-    const firstBatch = chunks.slice(0, 2);
-    const restChunks = chunks.slice(2);
-    
-    // Generate first batch in parallel
-    const firstBatchPromises = firstBatch.map(chunk => 
-      generateChunkTTS(chunk, voiceId, signal).catch(err => {
-        console.error(`❌ [BATCH-ERROR] ${err.message}`);
-        return null;
-      })
-    );
-    
-    const firstBatchResults = await Promise.all(firstBatchPromises);
-    
-    // Send first batch
-    for (let i = 0; i < firstBatchResults.length; i++) {
-      const audioBuffer = firstBatchResults[i];
-      
-      if (signal?.aborted) {
-        console.log(`⛔ [INTERRUPT] At chunk ${i + 1}`);
-        interrupted = true;
-        break;
-      }
-      
-      if (!audioBuffer) continue;
-      
-      if (ws.readyState === 1) {
-        ws.send(audioBuffer);
-        sent++;
-        totalBytes += audioBuffer.byteLength;
-        
-        console.log(`✅ [SEND] Chunk ${i + 1}/${chunks.length} (${(audioBuffer.byteLength / 1024).toFixed(1)}KB)`);
-        
-        // Small gap between chunks
-        if (i < firstBatchResults.length - 1) {
-          await new Promise(r => setTimeout(r, 120));
+  flush() {
+    if (this.pending.length > 0) {
+      const chunks = splitIntoChunks(this.pending.join(" "));
+      this.pending = [];
+      this.queue.push(...chunks);
+      this.totalChunks += chunks.length;
+      this.flushedAny = true;
+    }
+    this.notify();
+  }
+
+  /**
+   * Text that has not been sent as audio yet (queued, pending or still buffering)
+   */
+  unspoken() {
+    const waiting = this.inFlight.filter(slot => !slot.sending).map(slot => slot.chunk);
+    return [...waiting, ...this.queue, ...this.pending, this.buffer.trim()].filter(Boolean).join(" ");
+  }
+
+  notify() {
+    if (this.wake) {
+      const wake = this.wake;
+      this.wake = null;
+      wake();
+    }
+  }
+
+  async run() {
+    try {
+      while (true) {
+        if (this.signal?.aborted) {
+          console.log(`⛔ [INTERRUPT] At chunk ${this.sent + 1}`);
+          this.interrupted = true;
+          break;
         }
-      } else {
-        console.log(`❌ [WS-CLOSED] At chunk ${i + 1}`);
-        break;
+
+        this.fill();
+        const slot = this.inFlight[0];
+        if (!slot) {
+          if (this.ended || this.muted) break;
+          await this.changed();
+          continue;
+        }
+
+        try {
+          if (this.stream) {
+            await this.sendStreamed(slot);
+          } else {
+            await this.sendWhole(slot);
+          }
+        } catch (err) {
+          if (isAbortError(err)) {
+            console.log(`⛔ [INTERRUPT] Request canceled ${slot.index + 1}`);
+            this.interrupted = true;
+            break;
+          }
+          console.error(`❌ [ERROR] Chunk ${slot.index + 1} failed: ${err.message}`);
+          this.sendSkipped(slot);
+        } finally {
+          this.inFlight.shift();
+        }
+
+        if (this.signal?.aborted) {
+          console.log(`⛔ [INTERRUPT] After generation ${slot.index + 1}`);
+          this.interrupted = true;
+          break;
+        }
+
+        if (this.ws.readyState !== 1) {
+          console.log(`❌ [WS-CLOSED] At chunk ${slot.index + 1}`);
+          break;
+        }
+      }
+
+      // Nothing still being synthesized will be sent
+      for (const slot of this.inFlight) slot.controller.abort();
+      this.inFlight = [];
+
+      this.logSummary();
+
+      if (this.ws.readyState === 1 && !this.interrupted) {
+        setTimeout(() => {
+          try {
+            this.ws.send(JSON.stringify({ type: "tts_end", turnId: this.turnId }));
+            console.log("📢 [WS] TTS end signal sent");
+          } catch {}
+        }, 150);
+      }
+
+    } catch (err) {
+      console.error(`❌ [TTS-CRITICAL] ${err?.message || err}`);
+
+      if (this.ws.readyState === 1) {
+        this.ws.send(JSON.stringify(createError("TTS_FAILED", null, { turnId: this.turnId })));
       }
     }
-    
-    // Process remaining chunks one by one
-    for (let i = 0; i < restChunks.length && !interrupted; i++) {
-      if (signal?.aborted) {
-        console.log(`⛔ [INTERRUPT] At chunk ${i + firstBatch.length + 1}`);
-        interrupted = true;
+  }
+
+  // Resolves on the next notify(): new text, synthesized audio or an abort
+  changed() {
+    return new Promise(r => { this.wake = r; });
+  }
+
+  /**
+   * Start synthesizing queued chunks until `prefetch` are in flight. Chunks are
+   * charged (beforeChunk) when they start; a refused chunk mutes the rest, but
+   * chunks already in flight are still delivered.
+   */
+  fill() {
+    while (!this.muted && this.inFlight.length < this.prefetch && this.queue.length > 0) {
+      const chunk = this.queue.shift();
+      if (this.beforeChunk && this.beforeChunk(chunk) === false) {
+        console.log(`🔇 [TTS-STREAM] Muted at chunk ${this.started + 1}`);
+        this.muted = true;
+        this.queue = [];
         break;
       }
+      this.inFlight.push(this.startChunk(chunk, this.started++));
+    }
+  }
 
-      const chunk = restChunks[i];
-      const chunkIndex = i + firstBatch.length;
-      
+  /**
+   * Synthesize one chunk in the background; its audio collects in `slot.parts`
+   * (a single part unless streaming) until the chunk's turn to be sent
+   */
+  startChunk(chunk, index) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    this.signal?.addEventListener("abort", onAbort);
+    const slot = { chunk, index, controller, parts: [], done: false, error: null };
+
+    const produce = async () => {
       try {
-        const audioBuffer = await generateChunkTTS(chunk, voiceId, signal);
-        
-        if (signal?.aborted) {
-          console.log(`⛔ [INTERRUPT] After generation ${chunkIndex + 1}`);
-          interrupted = true;
-          break;
-        }
+        await this.synthesizeWithFallbacks(slot);
+      } catch (err) {
+        slot.error = err;
+      } finally {
+        slot.done = true;
+        this.signal?.removeEventListener("abort", onAbort);
+        this.notify();
+      }
+    };
+    produce();
+    return slot;
+  }
 
-        if (ws.readyState === 1) {
-          ws.send(audioBuffer);
-          sent++;
-          totalBytes += audioBuffer.byteLength;
-          
-          console.log(`✅ [SEND] Chunk ${chunkIndex + 1}/${chunks.length} (${(audioBuffer.byteLength / 1024).toFixed(1)}KB)`);
-          
-          if (i < restChunks.length - 1) {
-            await new Promise(r => setTimeout(r, 120));
-          }
-        } else {
-          console.log(`❌ [WS-CLOSED] At chunk ${chunkIndex + 1}`);
-          break;
+  /**
+   * The session's voice first, retried with jittered exponential backoff,
+   * then the fallback voice and the fallback provider once each
+   */
+  attempts() {
+    const { retries, fallbackVoice, fallbackProvider } = this.settings;
+    const primary = getTTSProvider();
+    const attempts = [];
+    for (let retry = 0; retry <= retries; retry++) {
+      attempts.push({ provider: primary, voiceId: this.voiceId, retry });
+    }
+    if (fallbackVoice && fallbackVoice !== this.voiceId) {
+      attempts.push({ provider: primary, voiceId: fallbackVoice, label: `voice ${fallbackVoice}` });
+    }
+    if (fallbackProvider) {
+      const provider = getTTSProvider(fallbackProvider);
+      // Streamed chunks need a provider that can stream
+      if (provider !== primary && (!this.stream || pickStreamEncoding(provider, this.stream))) {
+        attempts.push({ provider, voiceId: provider.defaultVoice, label: `provider ${provider.name}` });
+      }
+    }
+    return attempts;
+  }
+
+  async synthesizeWithFallbacks(slot) {
+    const signal = slot.controller.signal;
+    const attempts = this.attempts();
+    let lastError = null;
+
+    for (let i = 0; i < attempts.length; i++) {
+      const attempt = attempts[i];
+      if (i > 0) {
+        if (attempt.retry) {
+          const delay = this.settings.retryDelayMs * 2 ** (attempt.retry - 1);
+          await sleep(delay / 2 + Math.random() * delay, signal);
         }
+        if (signal.aborted) break;
+        console.log(`🔁 [TTS-RETRY] Chunk ${slot.index + 1}: ${attempt.label || `retry ${attempt.retry}`} after "${lastError.message}"`);
+      }
 
+      try {
+        await this.synthesizeInto(slot, attempt, signal);
+        return;
       } catch (err) {
-        if (axios.isCancel && axios.isCancel(err)) {
-          console.log(`⛔ [INTERRUPT] Request canceled ${chunkIndex + 1}`);
-          interrupted = true;
-          break;
+        lastError = err;
+        if (isAbortError(err) || signal.aborted) throw err;
+        // Audio that already reached the client cannot be taken back
+        if (slot.sending) throw err;
+        slot.parts = [];
+        if (!isRetryable(err)) {
+          while (attempts[i + 1]?.retry) i++;
         }
-        
-        console.error(`❌ [ERROR] Chunk ${chunkIndex + 1} failed: ${err.message}`);
+      }
+    }
+    throw lastError;
+  }
+
+  async synthesizeInto(slot, attempt, signal) {
+    if (!this.stream) {
+      slot.parts.push(await generateChunkTTS(slot.chunk, attempt.voiceId, signal, attempt.provider));
+      return;
+    }
+    const encoding = pickStreamEncoding(attempt.provider, this.stream);
+    const parts = streamChunkTTS(slot.chunk, attempt.voiceId, signal, attempt.provider, encoding);
+    for await (const part of parts) {
+      slot.parts.push(part);
+      if (slot === this.inFlight[0]) this.notify();
+    }
+  }
+
+  // Wait until the slot's audio is complete, then send it as one frame
+  async sendWhole(slot) {
+    while (!slot.done && !this.signal?.aborted) await this.changed();
+    if (slot.error) throw slot.error;
+    if (this.signal?.aborted || this.ws.readyState !== 1) return;
+
+    const { audio, format } = slot.parts[0];
+    const start = this.spanStart();
+    const startedAt = this.audioStarting(slot.index);
+    this.ws.send(this.framed
+      ? encodeAudioFrame({ turnId: this.turnId, chunk: slot.index, format, text: slot.chunk, span: [start, start + slot.chunk.length] }, audio)
+      : audio);
+    this.delivered(slot.chunk, audio, format, startedAt);
+  }
+
+  /**
+   * Forward one chunk part by part while the provider is still synthesizing it.
+   * The first part carries format, text and span; an empty part with `last: true`
+   * closes the chunk, and is sent even when the chunk is cut short so the client's
+   * frame count stays in step with the server's.
+   */
+  async sendStreamed(slot) {
+    const start = this.spanStart();
+    const sendPart = (header, audio) => {
+      this.ws.send(encodeAudioFrame({ turnId: this.turnId, chunk: slot.index, ...header }, audio));
+    };
+    let sent = 0;
+    let durationMs = 0;
+    let startedAt = null;
+
+    while (!this.signal?.aborted && this.ws.readyState === 1) {
+      if (sent === slot.parts.length) {
+        if (slot.done) break;
+        await this.changed();
         continue;
       }
+
+      const part = slot.parts[sent];
+      if (sent === 0) {
+        slot.sending = true;
+        slot.span = [start, start + slot.chunk.length];
+        startedAt = this.audioStarting(slot.index);
+        sendPart({ part: 0, format: part.format, text: slot.chunk, span: slot.span }, part.audio);
+      } else {
+        sendPart({ part: sent }, part.audio);
+      }
+      sent++;
+      durationMs += part.durationMs;
+    }
+
+    if (sent > 0) {
+      if (this.ws.readyState === 1) sendPart({ part: sent, last: true }, new Uint8Array(0));
+      const audio = Buffer.concat(slot.parts.slice(0, sent).map(p => p.audio));
+      this.delivered(slot.chunk, audio, { ...slot.parts[0].format, durationMs }, startedAt, `${sent} parts`);
+    }
+    // Whatever was left of a cut-short chunk is not needed any more
+    slot.controller.abort();
+    if (slot.error && !(sent > 0 && isAbortError(slot.error))) throw slot.error;
+  }
+
+  /**
+   * Tell the client which text of the reply it will not hear. `partial` means
+   * the chunk broke off after some of its audio was sent.
+   */
+  sendSkipped(slot) {
+    const partial = !!slot.span;
+    const span = slot.span || [this.spanStart(), this.spanStart() + slot.chunk.length];
+    // Later chunks keep their place in the reply text
+    if (!partial) this.spokenChars = span[1];
+    this.skipped++;
+    if (this.ws.readyState !== 1) return;
+    try {
+      this.ws.send(JSON.stringify({ type: "tts_skipped", turnId: this.turnId, chunk: slot.index, text: slot.chunk, span, partial }));
+    } catch (e) {}
+  }
+
+  // span: where the next chunk sits in this stream's chunks joined with spaces
+  spanStart() {
+    return this.spokenChars ? this.spokenChars + 1 : 0;
+  }
+
+  /**
+   * A chunk's first audio is about to go out; if the audio sent before it has
+   * (by its length) already finished playing, the listener heard a gap
+   * @returns {number} Send time
+   */
+  audioStarting(index) {
+    const now = Date.now();
+    if (!this.firstAudioAt) this.firstAudioAt = now;
+    if (this.sent > 0 && now > this.playbackEnd) {
+      const gap = now - this.playbackEnd;
+      this.gaps.push(gap);
+      console.log(`⏳ [TTS-GAP] ${gap}ms of silence before chunk ${index + 1}`);
     }
+    return now;
+  }
+
+  // Bookkeeping once a chunk's audio is out, whole or (streamed and cut short) in part
+  delivered(chunk, audio, format, startedAt, detail) {
+    this.spokenChars = this.spanStart() + chunk.length;
+    this.totalChars += chunk.length;
+    this.playbackEnd = Math.max(startedAt, this.playbackEnd) + audioDurationMs(chunk, audio, format);
+    if (this.onChunkSent) this.onChunkSent(chunk, audio, format);
+    this.sent++;
+    this.totalBytes += audio.byteLength;
 
-    const totalElapsed = Date.now() - totalStartTime;
-    const avgTime = sent > 0 ? (totalElapsed / sent).toFixed(0) : 0;
+    console.log(`✅ [SEND] Chunk ${this.sent}/${this.totalChunks}${this.ended ? '' : '+'} (${(audio.byteLength / 1024).toFixed(1)}KB${detail ? `, ${detail}` : ''})`);
+  }
+
+  logSummary() {
+    const totalElapsed = Date.now() - this.startTime;
+    const avgTime = this.sent > 0 ? (totalElapsed / this.sent).toFixed(0) : 0;
 
     console.log(`\n${'='.repeat(70)}`);
-    if (interrupted) {
+    if (this.interrupted) {
       console.log(`⛔ [TTS-SUMMARY] Interrupted`);
+    } else if (this.muted) {
+      console.log(`🔇 [TTS-SUMMARY] Muted`);
     } else {
       console.log(`✅ [TTS-SUMMARY] Complete`);
     }
-    console.log(`   Delivered: ${sent}/${chunks.length} chunks`);
-    console.log(`   Total size: ${(totalBytes / 1024).toFixed(1)}KB`);
+    console.log(`   Delivered: ${this.sent}/${this.totalChunks} chunks (${this.totalChars} chars)`);
+    if (this.skipped) {
+      console.log(`   Not voiced: ${this.skipped} chunk${this.skipped === 1 ? '' : 's'}`);
+    }
+    console.log(`   Total size: ${(this.totalBytes / 1024).toFixed(1)}KB`);
+    if (this.firstAudioAt) {
+      console.log(`   First audio: ${this.firstAudioAt - this.startTime}ms`);
+    }
     console.log(`   Total time: ${totalElapsed}ms`);
     console.log(`   Average: ${avgTime}ms per chunk`);
+    if (this.gaps.length) {
+      const total = this.gaps.reduce((sum, gap) => sum + gap, 0);
+      console.log(`   Gaps: ${this.gaps.length} (${total}ms total, longest ${Math.max(...this.gaps)}ms)`);
+    } else if (this.sent > 1) {
+      console.log(`   Gaps: none`);
+    }
     console.log(`${'='.repeat(70)}\n`);
+  }
+}
 
-    if (ws.readyState === 1 && !interrupted) {
-      setTimeout(() => {
-        try {
-          ws.send(JSON.stringify({ type: "tts_end" }));
-          console.log("📢 [WS] TTS end signal sent");
-        } catch {}
-      }, 150);
-    }
+/**
+ * Synthesize a whole text into one audio file, chunked the same way as live replies
+ * @param {Object} opts - { voiceId, signal }
+ * @returns {Object} { audio: Buffer, format, chunks }
+ */
+async function synthesizeText(text, opts = {}) {
+  const provider = getTTSProvider();
+  const voiceId = opts.voiceId || provider.defaultVoice;
+  const chunks = splitIntoChunks(text);
+  if (!chunks.length) throw new Error("Nothing to synthesize");
 
-  } catch (err) {
-    if (err.name === "CanceledError" || err.message === "canceled") {
-      console.log("⛔ [TTS] Aborted");
-      return;
-    }
-    
-    console.error(`❌ [TTS-CRITICAL] ${err?.message || err}`);
-    
-    if (ws.readyState === 1) {
-      ws.send(JSON.stringify({ 
-        type: "error", 
-        message: "Voice synthesis failed. Please try again." 
-      }));
-    }
+  const results = [];
+  for (const chunk of chunks) {
+    results.push(await generateChunkTTS(chunk, voiceId, opts.signal, provider));
+  }
+
+  const format = results[0].format;
+
+  // MP3 frames can simply be appended; WAV needs one header over all the samples
+  let audio;
+  if (format.container === "wav") {
+    const decoded = results.map(r => decodeWav(r.audio));
+    audio = encodeWav(Buffer.concat(decoded.map(d => d.pcm)), decoded[0].sampleRate, decoded[0].channels);
+  } else {
+    audio = Buffer.concat(results.map(r => r.audio));
   }
+
+  return { audio, format, chunks: chunks.length };
+}
+
+/**
+ * Settings from TTS_PREFETCH_CHUNKS (1-8), TTS_RETRIES (0-5), TTS_RETRY_DELAY_MS,
+ * TTS_FALLBACK_VOICE and TTS_FALLBACK_PROVIDER
+ */
+function speechSettingsFromEnv() {
+  const settings = {
+    prefetch: readInteger("TTS_PREFETCH_CHUNKS", DEFAULT_SETTINGS.prefetch, 1, 8),
+    retries: readInteger("TTS_RETRIES", DEFAULT_SETTINGS.retries, 0, 5),
+    retryDelayMs: readInteger("TTS_RETRY_DELAY_MS", DEFAULT_SETTINGS.retryDelayMs, 0, 10000),
+    fallbackVoice: process.env.TTS_FALLBACK_VOICE || null,
+    fallbackProvider: process.env.TTS_FALLBACK_PROVIDER?.toLowerCase() || null,
+  };
+  if (settings.fallbackProvider) {
+    // Throws for unknown names and missing keys
+    getTTSProvider(settings.fallbackProvider).validate();
+  }
+  return settings;
+}
+
+function createSpeechStream(ws, opts = {}) {
+  return new SpeechStream(ws, opts);
+}
+
+async function murfStreamSentences(text, ws, opts = {}) {
+  if (!text || !text.trim()) {
+    console.log("⚠️ [TTS-WARNING] Empty text");
+    return;
+  }
+
+  const stream = createSpeechStream(ws, opts);
+  stream.push(text);
+  stream.end();
+  await stream.done;
 }
 
-module.exports = murfStreamSentences;
\ No newline at end of file
+module.exports = murfStreamSentences;
+module.exports.createSpeechStream = createSpeechStream;
+module.exports.synthesizeText = synthesizeText;
+module.exports.warmUpCache = warmUpCache;
+module.exports.speechSettingsFromEnv = speechSettingsFromEnv;
+module.exports.splitIntoSentences = splitIntoSentences;
+module.exports.listVoices = () => getTTSProvider().listVoices();
+module.exports.cancelAll = () => getTTSProvider().cancel();
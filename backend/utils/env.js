@@ -0,0 +1,33 @@
+// backend/utils/env.js - Numeric settings from environment variables
+//
+// Unset or empty variables give the fallback; anything else must parse, or the
+// caller's xxxFromEnv() throws and the server refuses to start.
+
+/**
+ * @throws {Error} Unless the value is a number >= 0
+ */
+function readNumber(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new Error(`${name} must be a number >= 0`);
+  return number;
+}
+
+/**
+ * @throws {Error} Unless the value is a whole number from min to max
+ */
+function readInteger(name, fallback, min, max) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+module.exports = {
+  readNumber,
+  readInteger,
+};
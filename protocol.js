@@ -0,0 +1,301 @@
+// protocol.js - WebSocket message schema shared by the server and the browser client
+//
+// Loaded with require() by the backend and with a <script> tag by index.html
+// (exposed as window.GyaanchandProtocol). See docs/protocol.md for the full spec.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GyaanchandProtocol = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Bump PROTOCOL_VERSION for incompatible changes; MIN_PROTOCOL_VERSION is the
+  // oldest version the server still accepts
+  const PROTOCOL_VERSION = 2;
+  const MIN_PROTOCOL_VERSION = 1;
+  // First version whose server → client audio frames carry a header (encodeAudioFrame)
+  const FRAMED_AUDIO_VERSION = 2;
+
+  const ERRORS = {
+    BAD_JSON: { retryable: false, message: "Message is not valid JSON" },
+    INVALID_MESSAGE: { retryable: false, message: "Message does not match the schema" },
+    UNKNOWN_TYPE: { retryable: false, message: "Unknown message type" },
+    UNSUPPORTED_VERSION: { retryable: false, message: "Protocol version not supported" },
+    NO_SESSION: { retryable: false, message: "No session ID" },
+    UNAUTHORIZED: { retryable: false, message: "Valid API key or session token required" },
+    FORBIDDEN: { retryable: false, message: "Not allowed for this session" },
+    RATE_LIMITED: { retryable: true, message: "Rate limit reached" },
+    ASR_UNAVAILABLE: { retryable: true, message: "Speech recognition is unavailable" },
+    ASR_FAILED: { retryable: true, message: "Speech recognition failed" },
+    LLM_FAILED: { retryable: true, message: "Processing error" },
+    TTS_FAILED: { retryable: true, message: "Voice synthesis failed. Please try again." },
+    INTERNAL: { retryable: true, message: "Internal server error" },
+  };
+
+  // Field specs: { type, required, nullable, maxLength, enum }
+  // Unknown fields are ignored so newer peers can add optional data
+  const SESSION_ID = { type: "string", maxLength: 200 };
+  // Set on everything that belongs to one answer; null outside a turn
+  const TURN_ID = { type: "string", nullable: true, maxLength: 100 };
+
+  const CLIENT_MESSAGES = {
+    handshake: {
+      sessionId: SESSION_ID,
+      voice: { type: "string", maxLength: 100 },
+      protocolVersion: { type: "integer" },
+      token: { type: "string", maxLength: 2000 },
+      playbackAcks: { type: "boolean" },
+      audioStream: { type: "string", enum: ["pcm", "opus"] },
+    },
+    start_live: {
+      sessionId: SESSION_ID,
+    },
+    stop_live: {},
+    client_stop_tts: {},
+    audio_played: {
+      seq: { type: "integer", required: true },
+      complete: { type: "boolean" },
+      playedMs: { type: "integer" },
+    },
+    text_input: {
+      text: { type: "string", required: true, maxLength: 2000 },
+      speak: { type: "boolean" },
+      sessionId: SESSION_ID,
+    },
+    voice_change: {
+      voice: { type: "string", required: true, maxLength: 100 },
+      sessionId: SESSION_ID,
+    },
+    barge_in_config: {
+      mode: { type: "string", enum: ["stop", "duck", "off"] },
+      minSpeechMs: { type: "integer" },
+      minWords: { type: "integer" },
+      minConfidence: { type: "number" },
+      duckMs: { type: "integer" },
+      backchannels: { type: "array", maxLength: 100 },
+      sessionId: SESSION_ID,
+    },
+    end_of_turn_config: {
+      silenceMs: { type: "integer" },
+      incompleteSilenceMs: { type: "integer" },
+      maxSilenceMs: { type: "integer" },
+      adaptive: { type: "boolean" },
+      sessionId: SESSION_ID,
+    },
+  };
+
+  const SERVER_MESSAGES = {
+    session_confirmed: {
+      sessionId: { ...SESSION_ID, required: true },
+      protocolVersion: { type: "integer", required: true },
+      audioStream: { type: "string", nullable: true },
+      userId: { type: "string", nullable: true },
+      restored: { type: "boolean" },
+      document: { type: "object", nullable: true },
+      documents: { type: "array" },
+      bargeIn: { type: "object" },
+      endOfTurn: { type: "object" },
+    },
+    status: {
+      status: { type: "string", required: true },
+      turnId: TURN_ID,
+    },
+    transcript: {
+      text: { type: "string", required: true },
+      isFinal: { type: "boolean", required: true },
+      turnId: TURN_ID,
+    },
+    reply: {
+      text: { type: "string", required: true },
+      partial: { type: "boolean" },
+      route: { type: "object", nullable: true },
+      // Document answers only: [{ passage, page, pageEnd, section, citation, snippet }]
+      sources: { type: "array" },
+      turnId: TURN_ID,
+    },
+    memory_update: {
+      memory: { type: "object", required: true },
+    },
+    stop_audio: {
+      turnId: TURN_ID,
+    },
+    duck_audio: {
+      active: { type: "boolean", required: true },
+    },
+    tts_end: {
+      turnId: TURN_ID,
+    },
+    tts_skipped: {
+      turnId: TURN_ID,
+      chunk: { type: "integer", required: true },
+      text: { type: "string", required: true },
+      span: { type: "array" },
+      partial: { type: "boolean" },
+    },
+    voice_changed: {
+      voice: { type: "string", required: true },
+    },
+    barge_in_changed: {
+      bargeIn: { type: "object", required: true },
+    },
+    end_of_turn_changed: {
+      endOfTurn: { type: "object", required: true },
+    },
+    error: {
+      code: { type: "string", required: true, enum: Object.keys(ERRORS) },
+      message: { type: "string", required: true },
+      retryable: { type: "boolean", required: true },
+      limit: { type: "string" },
+      retryAfterMs: { type: "integer" },
+      turnId: TURN_ID,
+    },
+  };
+
+  function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+  }
+
+  function checkField(name, spec, value) {
+    if (value === undefined) {
+      return spec.required ? `"${name}" is required` : null;
+    }
+    if (value === null) {
+      return spec.nullable ? null : `"${name}" must not be null`;
+    }
+
+    const actual = typeOf(value);
+    const matches = spec.type === "number"
+      ? actual === "number" || actual === "integer"
+      : actual === spec.type;
+    if (!matches) return `"${name}" must be ${spec.type}, got ${actual}`;
+
+    if (spec.maxLength && value.length > spec.maxLength) {
+      return `"${name}" is longer than ${spec.maxLength}`;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      return `"${name}" must be one of ${spec.enum.join(", ")}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a parsed message against the schema
+   * @param {string} direction - "client" (client → server) or "server" (server → client)
+   * @returns {Object} { ok: true } or { ok: false, code, message }
+   */
+  function validateMessage(direction, msg) {
+    const schemas = direction === "server" ? SERVER_MESSAGES : CLIENT_MESSAGES;
+
+    if (typeOf(msg) !== "object" || typeof msg.type !== "string") {
+      return { ok: false, code: "INVALID_MESSAGE", message: 'Message must be an object with a string "type"' };
+    }
+
+    const fields = schemas[msg.type];
+    if (!fields) {
+      return { ok: false, code: "UNKNOWN_TYPE", message: `Unknown message type "${msg.type}"` };
+    }
+
+    for (const [name, spec] of Object.entries(fields)) {
+      const problem = checkField(name, spec, msg[name]);
+      if (problem) {
+        return { ok: false, code: "INVALID_MESSAGE", message: `${msg.type}: ${problem}` };
+      }
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Build an error message; `message` defaults to the text registered for `code`
+   * @param {Object} extra - Optional fields such as { limit, retryAfterMs }
+   */
+  function createError(code, message, extra) {
+    const known = ERRORS[code] || ERRORS.INTERNAL;
+    return {
+      type: "error",
+      code: ERRORS[code] ? code : "INTERNAL",
+      message: message || known.message,
+      retryable: known.retryable,
+      ...extra,
+    };
+  }
+
+  /**
+   * Version to speak with a peer that asked for `requested` (its highest version)
+   * @returns {number|null} Agreed version, or null when there is none
+   */
+  function negotiateVersion(requested) {
+    // Clients from before versioning send nothing; they speak version 1
+    if (requested === undefined) return MIN_PROTOCOL_VERSION;
+
+    const version = Math.min(requested, PROTOCOL_VERSION);
+    return version >= MIN_PROTOCOL_VERSION ? version : null;
+  }
+
+  /**
+   * Wrap one audio chunk for sending: 4-byte big-endian header length, the header
+   * as UTF-8 JSON, then the audio bytes
+   * @param {Object} header - { turnId, chunk, format, text, span }, plus { part, last } for streamed parts
+   * @param {Uint8Array|ArrayBuffer} audio
+   * @returns {Uint8Array}
+   */
+  function encodeAudioFrame(header, audio) {
+    const json = new TextEncoder().encode(JSON.stringify(header));
+    const body = audio instanceof Uint8Array ? audio : new Uint8Array(audio);
+    const frame = new Uint8Array(4 + json.length + body.length);
+    new DataView(frame.buffer).setUint32(0, json.length);
+    frame.set(json, 4);
+    frame.set(body, 4 + json.length);
+    return frame;
+  }
+
+  /**
+   * Split a frame made by encodeAudioFrame
+   * @param {Uint8Array|ArrayBuffer} frame
+   * @returns {Object} { header, audio } where audio is a Uint8Array copy
+   * @throws {Error} If the frame is malformed
+   */
+  function decodeAudioFrame(frame) {
+    const bytes = frame instanceof Uint8Array ? frame : new Uint8Array(frame);
+    if (bytes.length < 4) throw new Error("Audio frame too short");
+    const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+    if (4 + length > bytes.length) throw new Error("Audio frame header is truncated");
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + length)));
+    return { header, audio: bytes.slice(4 + length) };
+  }
+
+  /**
+   * Split the audio of a streamed Opus part into its packets
+   * (each packet follows a 2-byte big-endian length)
+   * @param {Uint8Array} audio
+   * @returns {Uint8Array[]}
+   */
+  function decodeOpusPackets(audio) {
+    const view = new DataView(audio.buffer, audio.byteOffset, audio.byteLength);
+    const packets = [];
+    let offset = 0;
+    while (offset + 2 <= audio.length) {
+      const length = view.getUint16(offset);
+      packets.push(audio.subarray(offset + 2, offset + 2 + length));
+      offset += 2 + length;
+    }
+    return packets;
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    FRAMED_AUDIO_VERSION,
+    ERRORS,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    validateMessage,
+    createError,
+    negotiateVersion,
+    encodeAudioFrame,
+    decodeAudioFrame,
+    decodeOpusPackets,
+  };
+});